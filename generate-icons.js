@@ -0,0 +1,14 @@
+// generate-icons.js
+//   node generate-icons.js   (re)draw the app and notification icons into public/
+// The output is deterministic, so regenerating only shows up in git when the drawings in lib/icons.js change.
+const fs = require('fs');
+const path = require('path');
+const { ICONS, renderIcon, encodePng } = require('./lib/icons');
+
+const outDir = path.join(__dirname, 'public');
+
+for (const icon of ICONS) {
+  const png = encodePng(icon.size, renderIcon(icon.draw, icon.size));
+  fs.writeFileSync(path.join(outDir, icon.file), png);
+  console.log(`${icon.file}  ${icon.size}x${icon.size}  ${png.length} bytes`);
+}
@@ -1,7 +1,11 @@
-// scripts/generate-vapid.js
+// generate-vapid.js
+//   node generate-vapid.js          print a fresh key set
+//   node generate-vapid.js rotate   make a new current key and keep the present one(s) as legacy keys
+require('dotenv').config();
 const webpush = require('web-push');
+const { keyId, parseKeyList, formatKeyList } = require('./lib/vapid');
 
-function main() {
+function generate() {
   const keys = webpush.generateVAPIDKeys();
   console.log('# VAPID KEYS (copy these to your .env or secret store)');
   console.log('VAPID_PUBLIC_KEY=' + keys.publicKey);
@@ -10,4 +14,30 @@ function main() {
   console.log('VAPID_SUBJECT=mailto:admin@yourdomain.example');
 }
 
-main();
+function rotate() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    console.error('rotate: VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must hold the key currently in use.');
+    process.exit(1);
+  }
+
+  const legacy = [{ publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY }, ...parseKeyList(process.env.VAPID_LEGACY_KEYS)]
+    .filter((k, i, all) => all.findIndex((o) => o.publicKey === k.publicKey) === i);
+  const keys = webpush.generateVAPIDKeys();
+
+  console.log('# ROTATED VAPID KEYS (replace all three values in your .env or secret store)');
+  console.log(`# new current key ${keyId(keys.publicKey)}; legacy: ${legacy.map((k) => keyId(k.publicKey)).join(', ')}`);
+  console.log('VAPID_PUBLIC_KEY=' + keys.publicKey);
+  console.log('VAPID_PRIVATE_KEY=' + keys.privateKey);
+  console.log('VAPID_LEGACY_KEYS=' + formatKeyList(legacy));
+  console.log('\nSubscribers move to the new key as their service worker receives the next push.');
+  console.log('Drop a legacy key from VAPID_LEGACY_KEYS once GET /api/admin/vapid-keys shows no subscribers on it.');
+}
+
+const mode = process.argv[2];
+if (mode === 'rotate') rotate();
+else if (!mode) generate();
+else {
+  console.error(`Unknown mode "${mode}" (expected no argument or "rotate")`);
+  process.exit(1);
+}
@@ -0,0 +1,1698 @@
+// lib/app.js - the countdown push service as an app factory
+//
+// createApp() builds the Express app and everything behind it (store, scheduler, push dispatch) from an
+// env object without touching the process: it doesn't listen, schedule cron or exit, and invalid
+// configuration throws. server.js wires it up for real; tests inject a clock, a store and a push sender.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const { DateTime, IANAZone } = require('luxon');
+const { createStore } = require('./store');
+const { dispatch } = require('./dispatch');
+const { createAdminAuth, generateApiKey, parseTokens } = require('./auth');
+const { loadVapidKeys } = require('./vapid');
+const { parseAudience, matchesAudience } = require('./audience');
+const { FALLBACK_LOCALE, loadLocaleTemplates, renderLocalized } = require('./templates');
+const { createTimers } = require('./timers');
+const { createPolicy } = require('./policy');
+const { DEFAULT_PUSH_HOSTS, createSubscriptionValidator } = require('./subscription-validation');
+const { createRateLimiter } = require('./rate-limit');
+const { createRegistry } = require('./metrics');
+const { createLogger, endpointRef, requestLogger, requestContext, withLogContext } = require('./logger');
+const { createPushSender } = require('./push-sender');
+const { buildManifest } = require('./manifest');
+const { createCountdownStream } = require('./countdown-stream');
+const { createKeyVault, hashAuth, ownsSubscription, resealSubscriptions } = require('./key-vault');
+const { loadEvents, getCountdown, reminderRuleFor, generateCountdownMessage } = require('./events');
+
+/**
+ * Options, all optional:
+ *   env         configuration variables (process.env by default)
+ *   clock       () => luxon DateTime: "now" for the scheduler, countdowns, expiries and records
+ *   store       a lib/store store to use instead of STORE_DRIVER / STORE_FILE; the caller closes it
+ *   pushSender  (subscription, payload, options) => Promise, with web-push's sendNotification contract
+ *   logger      a lib/logger logger (by default one at LOG_LEVEL)
+ *   rootDir     what relative file settings (EVENTS_FILE, STORE_FILE, ...) and public/ resolve against
+ * Call start() before serving requests.
+ */
+function createApp(options = {}) {
+  const {
+    env = process.env,
+    clock = () => DateTime.now(),
+    pushSender = createPushSender(),
+    rootDir = path.join(__dirname, '..'),
+  } = options;
+  const logger = options.logger || createLogger({ level: env.LOG_LEVEL || 'info' });
+  const nowISO = () => clock().toUTC().toISO();
+
+  const app = express();
+  const LEGACY_SUBSCRIPTIONS_FILE = path.resolve(rootDir, env.SUBSCRIPTIONS_FILE || 'subscriptions.json');
+
+  // Basic middleware
+  // TRUST_PROXY (e.g. "1" or "loopback") when running behind a reverse proxy, so per-IP limits see the client
+  if (env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY);
+  }
+  app.use(helmet());
+  app.use(cors());
+  app.use(requestLogger(logger));
+  app.use(express.json({ limit: env.JSON_BODY_LIMIT || '16kb' }));
+  app.use(requestContext);
+  app.use(express.static(path.join(rootDir, 'public')));
+
+  // ---------- VAPID (from env, current + legacy keys) ----------
+  const VAPID_SUBJECT = env.VAPID_SUBJECT || 'mailto:teranxd11@gmail.com';
+
+  const vapid = loadVapidKeys(env);
+
+  // Sends with the key the subscription was created with; subscriptions on a retired key can't be reached
+  function sendPush(sub, payload) {
+    const key = vapid.byId.get(sub.vapidKeyId || vapid.current.id);
+    if (!key) return Promise.reject(new Error(`VAPID key ${sub.vapidKeyId} has been retired`));
+    const subscription = { endpoint: sub.endpoint, keys: keyVault.open(sub.keys, sub.endpoint) };
+    return pushSender(subscription, payload, {
+      vapidDetails: { subject: VAPID_SUBJECT, publicKey: key.publicKey, privateKey: key.privateKey },
+    });
+  }
+
+  // ---------- Persistence (json or sqlite store) ----------
+  const STORE_DRIVER = env.STORE_DRIVER || 'json';
+  const STORE_FILE = options.store
+    ? null
+    : path.resolve(rootDir, env.STORE_FILE || (STORE_DRIVER === 'sqlite' ? 'data/store.sqlite' : 'data/store.json'));
+
+  // subscriptions.json from older versions is imported once on first start. Records are timestamped by
+  // `clock`, which audience age filters compare against; a store passed in should be created the same way.
+  const store =
+    options.store ||
+    createStore({ driver: STORE_DRIVER, file: STORE_FILE, legacyFile: LEGACY_SUBSCRIPTIONS_FILE, now: nowISO });
+
+  // After the import, subscriptions.json still holds every key in plaintext. Once the store has them sealed
+  // the file is emptied; without a master key the store's copy is plaintext too, so the operator is told.
+  async function retireLegacySubscriptions() {
+    const imported = await store.legacyImport();
+    if (!imported || imported.file !== LEGACY_SUBSCRIPTIONS_FILE) return;
+    let list;
+    try {
+      list = JSON.parse(await fs.promises.readFile(LEGACY_SUBSCRIPTIONS_FILE, 'utf8'));
+    } catch (err) {
+      return; // gone already, or not ours to judge
+    }
+    if (!Array.isArray(list) || !list.length) return;
+    if (!keyVault.enabled) {
+      logger.warn('Imported subscriptions file still holds keys in plaintext; delete it', { file: LEGACY_SUBSCRIPTIONS_FILE });
+      return;
+    }
+    await fs.promises.writeFile(LEGACY_SUBSCRIPTIONS_FILE, '[]\n');
+    logger.info('Emptied the imported subscriptions file, its keys are sealed in the store', {
+      file: LEGACY_SUBSCRIPTIONS_FILE,
+      count: list.length,
+    });
+  }
+
+  // ---------- Subscription keys (encrypted at rest) ----------
+  // SUBSCRIPTION_MASTER_KEY seals each subscription's p256dh/auth with AES-GCM; they are only decrypted to
+  // send. After changing it, list the old key(s) in SUBSCRIPTION_MASTER_KEY_PREVIOUS and run
+  // `npm run reencrypt-store` with the server stopped.
+  const keyVault = createKeyVault({
+    masterKey: env.SUBSCRIPTION_MASTER_KEY || null,
+    previousKeys: parseTokens(env.SUBSCRIPTION_MASTER_KEY_PREVIOUS),
+  });
+  if (!keyVault.enabled && env.NODE_ENV === 'production') {
+    throw new Error('SUBSCRIPTION_MASTER_KEY must be set in production (generate one with `npm run reencrypt-store -- --generate`)');
+  }
+
+  // ---------- Subscription limits ----------
+  // Endpoints must be https URLs on a known push service (PUSH_ALLOWED_HOSTS overrides the list, "*.host"
+  // matches subdomains; PUSH_ALLOW_HTTP=true admits plain http for local stand-ins). Subscribe and
+  // unsubscribe are rate-limited per IP, and new subscriptions stop at MAX_SUBSCRIPTIONS.
+  const subscriptionValidator = createSubscriptionValidator({
+    allowedHosts: env.PUSH_ALLOWED_HOSTS ? parseTokens(env.PUSH_ALLOWED_HOSTS) : DEFAULT_PUSH_HOSTS,
+    allowHttp: env.PUSH_ALLOW_HTTP === 'true',
+  });
+  const MAX_SUBSCRIPTIONS = parseInt(env.MAX_SUBSCRIPTIONS, 10) || 100000;
+  const subscribeRateLimit = createRateLimiter({
+    windowMs: (parseInt(env.SUBSCRIBE_RATE_WINDOW_SECONDS, 10) || 60) * 1000,
+    max: env.SUBSCRIBE_RATE_LIMIT !== undefined ? parseInt(env.SUBSCRIBE_RATE_LIMIT, 10) : 20,
+  });
+
+  // ---------- Admin auth ----------
+  const ADMIN_TOKENS = parseTokens(env.ADMIN_TOKENS);
+  const { requireAdmin } = createAdminAuth({ tokens: ADMIN_TOKENS, store });
+
+  // ---------- Push dispatch ----------
+  const RUNS_RETENTION = parseInt(env.RUNS_RETENTION, 10) || 500;
+
+  const DISPATCH_OPTIONS = {
+    concurrency: parseInt(env.PUSH_CONCURRENCY, 10) || 10,
+    maxRetries: env.PUSH_MAX_RETRIES !== undefined ? parseInt(env.PUSH_MAX_RETRIES, 10) : 3,
+    baseDelayMs: parseInt(env.PUSH_RETRY_BASE_MS, 10) || 1000,
+    maxDelayMs: parseInt(env.PUSH_RETRY_MAX_MS, 10) || 60000,
+  };
+
+  // ---------- Metrics (Prometheus, GET /metrics) ----------
+  const metrics = createRegistry();
+  const pushesTotal = metrics.counter({
+    name: 'helalink_pushes_total',
+    help: 'Push deliveries by trigger, outcome (sent, failed, pruned, deferred, dropped) and push service status code',
+    labelNames: ['trigger', 'outcome', 'status_code'],
+  });
+  const subscribeTotal = metrics.counter({
+    name: 'helalink_subscribe_total',
+    help: 'Accepted subscribe requests by result (created, refreshed)',
+    labelNames: ['result'],
+  });
+  const unsubscribeTotal = metrics.counter({ name: 'helalink_unsubscribe_total', help: 'Unsubscribe requests' });
+  const cronRunDuration = metrics.histogram({
+    name: 'helalink_cron_run_duration_seconds',
+    help: 'Duration of scheduled reminder runs per event',
+    labelNames: ['event'],
+  });
+  const cronLastSuccess = metrics.gauge({
+    name: 'helalink_cron_last_success_timestamp_seconds',
+    help: 'When each event last completed a scheduled run (unix time)',
+    labelNames: ['event'],
+  });
+  metrics.gauge({
+    name: 'helalink_subscribers',
+    help: 'Stored subscriptions by status',
+    labelNames: ['status'],
+    async collect(gauge) {
+      const subs = await store.listSubscriptions();
+      gauge.reset();
+      for (const status of ['active', 'pending']) {
+        gauge.set({ status }, subs.filter((s) => (status === 'active') === isActive(s)).length);
+      }
+    },
+  });
+  metrics.gauge({
+    name: 'helalink_topic_subscribers',
+    help: 'Active subscriptions following each topic',
+    labelNames: ['topic'],
+    async collect(gauge) {
+      const subs = (await store.listSubscriptions()).filter(isActive);
+      gauge.reset();
+      for (const topic of TOPICS) gauge.set({ topic }, subs.filter((s) => subscribedTopics(s).includes(topic)).length);
+    },
+  });
+
+  // counts one dispatch's results under `trigger`
+  function countPushes(trigger, results) {
+    for (const r of results) {
+      const outcome = r.ok ? 'sent' : r.remove ? 'pruned' : 'failed';
+      pushesTotal.inc({ trigger, outcome, status_code: r.statusCode || 'none' });
+    }
+  }
+
+  // ---------- Delivery policy (quiet hours, per-subscriber rate limit) ----------
+  // Every send path goes through deliverRun, which holds back pushes during a subscriber's quiet hours or
+  // beyond PUSH_RATE_LIMIT pushes per rolling window, deferring or dropping them per the configured action.
+  // Deferred pushes not delivered within PUSH_DEFER_MAX_MINUTES are dropped and listed on that tick's run.
+  const policy = createPolicy({
+    maxPerWindow: env.PUSH_RATE_LIMIT !== undefined ? parseInt(env.PUSH_RATE_LIMIT, 10) : 5,
+    windowMinutes: parseInt(env.PUSH_RATE_WINDOW_MINUTES, 10) || 24 * 60,
+    quietHoursAction: env.PUSH_QUIET_HOURS_ACTION || 'defer',
+    rateLimitAction: env.PUSH_RATE_LIMIT_ACTION || 'drop',
+  });
+  const DEFER_MAX_MINUTES = parseInt(env.PUSH_DEFER_MAX_MINUTES, 10) || 12 * 60;
+
+  // ---------- Countdown events ----------
+  const TARGET_TZ = env.CRON_TZ || 'Africa/Nairobi';
+  const EVENTS_FILE = path.resolve(rootDir, env.EVENTS_FILE || 'events.json');
+
+  let events;
+  try {
+    events = loadEvents(EVENTS_FILE, { defaultTz: TARGET_TZ });
+  } catch (err) {
+    throw new Error(`Could not load countdown events from ${EVENTS_FILE}: ${err.message}`);
+  }
+
+  const DEFAULT_EVENT_ID = env.DEFAULT_EVENT_ID || events.keys().next().value;
+  if (!events.has(DEFAULT_EVENT_ID)) {
+    throw new Error(`DEFAULT_EVENT_ID "${DEFAULT_EVENT_ID}" is not defined in ${EVENTS_FILE}`);
+  }
+
+  // Re-reads EVENTS_FILE (POST /api/admin/events/reload, SIGHUP) and pushes the new countdowns to open
+  // pages; a file that doesn't load throws and the current events stay in place.
+  function reloadEvents() {
+    const next = loadEvents(EVENTS_FILE, { defaultTz: TARGET_TZ });
+    if (!next.has(DEFAULT_EVENT_ID)) throw new Error(`DEFAULT_EVENT_ID "${DEFAULT_EVENT_ID}" is not defined in ${EVENTS_FILE}`);
+    events = next;
+    logger.info('Reloaded countdown events', { events: Array.from(events.keys()) });
+    countdownStream.broadcast();
+    return events;
+  }
+
+  // ---------- Live countdown (Server-Sent Events, GET /api/countdown/stream) ----------
+  // SSE_HEARTBEAT_SECONDS: how often open pages get a fresh countdown and the server time (default 25)
+  const countdownStreams = metrics.gauge({ name: 'helalink_countdown_streams', help: 'Open countdown streams' });
+  const countdownStream = createCountdownStream({
+    heartbeatMs: (parseInt(env.SSE_HEARTBEAT_SECONDS, 10) || 25) * 1000,
+    render({ eventId, zone, locale }) {
+      const event = events.get(eventId);
+      if (!event) return null;
+      const now = clock();
+      return { ...getCountdown(event, { now, zone, locale }), serverTime: now.toMillis() };
+    },
+    onChange: (open) => countdownStreams.set({}, open),
+  });
+
+  // ?event=, ?tz= and ?locale= as /api/countdown and /api/countdown/stream take them
+  function countdownQuery(query) {
+    const eventId = query.event || DEFAULT_EVENT_ID;
+    const event = events.get(eventId);
+    if (!event) return { status: 404, error: `Unknown event: ${eventId}` };
+    const zone = query.tz || event.timezone;
+    if (!IANAZone.isValidZone(zone)) return { status: 400, error: 'Invalid timezone' };
+    return { event, eventId, zone, locale: query.locale };
+  }
+
+  // Subscriptions stored before events existed have no list and follow the default event
+  function subscribedEvents(sub) {
+    return Array.isArray(sub.events) && sub.events.length ? sub.events : [DEFAULT_EVENT_ID];
+  }
+
+  async function recordRun(run) {
+    try {
+      await store.saveRun(run);
+      await store.pruneRuns(RUNS_RETENTION);
+    } catch (err) {
+      logger.warn('Could not record run', { runId: run.id, err });
+    }
+  }
+
+  // ---------- Topics ----------
+  // Topics are what a subscriber wants to hear about; countdown reminders additionally need the countdown topic.
+  const TOPICS = parseTokens(env.TOPICS || 'launch,daily-countdown,announcements');
+  const DEFAULT_TOPICS = env.DEFAULT_TOPICS ? parseTokens(env.DEFAULT_TOPICS) : TOPICS;
+  const COUNTDOWN_TOPIC = 'daily-countdown';
+
+  function subscribedTopics(sub) {
+    return Array.isArray(sub.topics) ? sub.topics : DEFAULT_TOPICS;
+  }
+
+  function followsCountdowns(sub) {
+    return !TOPICS.includes(COUNTDOWN_TOPIC) || subscribedTopics(sub).includes(COUNTDOWN_TOPIC);
+  }
+
+  function parseTopics(value) {
+    if (!Array.isArray(value) || !value.every((t) => typeof t === 'string')) {
+      return { error: 'topics must be a list of topic ids' };
+    }
+    const unknown = value.filter((t) => !TOPICS.includes(t));
+    if (unknown.length) return { error: `Unknown topic(s): ${unknown.join(', ')}` };
+    return { topics: Array.from(new Set(value)) };
+  }
+
+  const audienceResolvers = {
+    topics: subscribedTopics,
+    events: (sub) => subscribedEvents(sub),
+    timezone: (sub) => deliveryZone(sub),
+  };
+
+  // ---------- Delivery schedule (per-subscriber timezone and hour) ----------
+  const DEFAULT_DELIVERY_HOUR = env.DEFAULT_DELIVERY_HOUR !== undefined ? parseInt(env.DEFAULT_DELIVERY_HOUR, 10) : 9;
+
+  function deliveryZone(sub) {
+    return sub.timezone || TARGET_TZ;
+  }
+
+  function deliveryHour(sub) {
+    return Number.isInteger(sub.deliveryHour) ? sub.deliveryHour : DEFAULT_DELIVERY_HOUR;
+  }
+
+  // The local date whose reminder falls due in the window (from, to]: the subscriber's delivery hour on that
+  // date lies inside the window and that date's reminder hasn't gone out yet. Null when nothing is due.
+  function dueDate(sub, eventId, from, to) {
+    const last = (sub.lastReminders || {})[eventId];
+    let due = null;
+    for (let day = from.setZone(deliveryZone(sub)).startOf('day'); day <= to; day = day.plus({ days: 1 })) {
+      const at = day.set({ hour: deliveryHour(sub) });
+      if (at > from && at <= to && day.toISODate() !== last) due = day.toISODate();
+    }
+    return due;
+  }
+
+  // Pausing stops every automatic send (reminders, snoozes, broadcasts) until the given time
+  function isPaused(sub, now) {
+    return !!sub.pausedUntil && DateTime.fromISO(sub.pausedUntil) > now;
+  }
+
+  // Tells the service worker of a subscriber on a legacy key to re-subscribe with the current one
+  function rotationHint(sub) {
+    if (!sub.vapidKeyId || sub.vapidKeyId === vapid.current.id) return {};
+    return { vapid: { keyId: vapid.current.id, publicKey: vapid.current.publicKey } };
+  }
+
+  // Validates the optional { timezone, hour, locale, topics } meta sent with a wrapped subscribe payload
+  function parseDeliveryMeta(payload) {
+    const meta = {};
+    if (payload.topics !== undefined) {
+      const parsed = parseTopics(payload.topics);
+      if (parsed.error) return { error: parsed.error };
+      meta.topics = parsed.topics;
+    }
+    if (payload.locale !== undefined) {
+      try {
+        [meta.locale] = Intl.getCanonicalLocales(payload.locale);
+      } catch (err) {
+        return { error: 'Invalid locale' };
+      }
+    }
+    if (payload.timezone !== undefined) {
+      if (typeof payload.timezone !== 'string' || !IANAZone.isValidZone(payload.timezone)) {
+        return { error: 'Invalid timezone' };
+      }
+      meta.timezone = payload.timezone;
+    }
+    if (payload.hour !== undefined && payload.hour !== null) {
+      if (!Number.isInteger(payload.hour) || payload.hour < 0 || payload.hour > 23) {
+        return { error: 'hour must be an integer between 0 and 23' };
+      }
+      meta.deliveryHour = payload.hour;
+    }
+    return { meta };
+  }
+
+  // ---------- Preferences (self-service, proven by the subscription's auth secret) ----------
+  const LOCALE_TEMPLATES = loadLocaleTemplates();
+  const LOCALES = Object.keys(LOCALE_TEMPLATES);
+  const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+  // The subscription at `endpoint` if `auth` is its auth secret; null when unknown or the secret doesn't match
+  async function ownedSubscription(endpoint, auth) {
+    const sub = await store.getSubscription(endpoint);
+    return ownsSubscription(sub, auth) ? sub : null;
+  }
+
+  function preferencesOf(sub) {
+    return {
+      status: isActive(sub) ? 'active' : sub.status,
+      events: subscribedEvents(sub),
+      topics: subscribedTopics(sub),
+      timezone: deliveryZone(sub),
+      hour: deliveryHour(sub),
+      locale: sub.locale || null,
+      quietHours: sub.quietHours || null,
+      pausedUntil: sub.pausedUntil || null,
+    };
+  }
+
+  // Validates a preferences patch: the delivery meta fields plus quietHours ({ start, end } as "HH:mm") and
+  // pausedUntil (ISO timestamp). `hour`, `quietHours` and `pausedUntil` may be null to go back to the default.
+  // Resolves { set, unset } with the fields to store and those to drop.
+  function parsePreferences(body) {
+    const { hour, quietHours, pausedUntil, ...rest } = body;
+    const parsed = parseDeliveryMeta({ ...rest, hour });
+    if (parsed.error) return { error: parsed.error };
+    const set = parsed.meta;
+    const unset = [];
+    if (hour === null) unset.push('deliveryHour');
+
+    if (quietHours === null) unset.push('quietHours');
+    else if (quietHours !== undefined) {
+      const { start, end } = quietHours || {};
+      if (!TIME_OF_DAY.test(start) || !TIME_OF_DAY.test(end) || start === end) {
+        return { error: 'quietHours must be { start, end } as distinct "HH:mm" times' };
+      }
+      set.quietHours = { start, end };
+    }
+
+    if (pausedUntil === null) unset.push('pausedUntil');
+    else if (pausedUntil !== undefined) {
+      const until = typeof pausedUntil === 'string' ? DateTime.fromISO(pausedUntil, { setZone: true }) : null;
+      if (!until || !until.isValid || until <= clock()) return { error: 'pausedUntil must be a future ISO 8601 timestamp' };
+      set.pausedUntil = until.toUTC().toISO();
+    }
+    return { set, unset };
+  }
+
+  function newRun(fields) {
+    return {
+      id: crypto.randomUUID(),
+      startedAt: nowISO(),
+      finishedAt: null,
+      status: 'running',
+      recipients: 0,
+      summary: null,
+      outcomes: [],
+      ...fields,
+    };
+  }
+
+  // Applies the delivery policy to `recipients`: held-back pushes are deferred (rendered now, stored for later)
+  // or dropped, and listed with their reason on the run. `deferral(sub)` may supply the expiry and origin run
+  // of a push that is already a deferred one.
+  async function holdBack(run, suppressed, payloadFor, deferral, now) {
+    const deferred = [];
+    const records = [];
+    for (const { sub, reason, action, retryAt } of suppressed) {
+      const { expiresAt = now.plus({ minutes: DEFER_MAX_MINUTES }).toUTC().toISO(), originRunId = run.id } = deferral(sub);
+      const defer = action === 'defer' && retryAt <= DateTime.fromISO(expiresAt);
+      const dueAt = defer ? retryAt.toUTC().toISO() : null;
+      if (defer) {
+        deferred.push({ id: crypto.randomUUID(), endpoint: sub.endpoint, payload: payloadFor(sub), dueAt, expiresAt, reason, originRunId });
+      }
+      records.push({ endpoint: sub.endpoint, reason, action: defer ? 'defer' : 'drop', dueAt });
+    }
+    if (deferred.length) await store.saveDeferred(deferred);
+    return records;
+  }
+
+  // Pushes `payloadFor(sub)` to every recipient the delivery policy lets through, prunes subscriptions the push
+  // service reports gone and records the run with its per-endpoint outcomes and held-back pushes.
+  // Resolves to the dispatch summary (plus deferred/dropped counts) and the run id.
+  async function deliverRun(run, recipients, payloadFor, options = {}) {
+    return withLogContext({ runId: run.id }, () => deliverInRun(run, recipients, payloadFor, options));
+  }
+
+  // `dropped` are held-back records for pushes dropped before the policy ran (deferred ones that can't go out)
+  async function deliverInRun(run, recipients, payloadFor, { now = clock(), deferral = () => ({}), dropped = [] }) {
+    const log = logger.child({ trigger: run.trigger, eventId: run.eventId || undefined });
+    const allowed = [];
+    const suppressed = [];
+    for (const sub of recipients) {
+      const decision = policy.evaluate(sub, { zone: deliveryZone(sub), now });
+      if (decision.allow) allowed.push(sub);
+      else suppressed.push({ sub, ...decision });
+    }
+    log.info('Sending notification', { recipients: allowed.length, heldBack: suppressed.length });
+    run.recipients = recipients.length;
+
+    let summary;
+    try {
+      run.suppressed = [...dropped, ...(await holdBack(run, suppressed, payloadFor, deferral, now))];
+      summary = await dispatch(
+        allowed,
+        (sub) =>
+          sendPush(sub, payloadFor(sub)).catch((err) => {
+            log.warn('Push error', { endpoint: endpointRef(sub.endpoint), statusCode: err && err.statusCode, error: err && err.message });
+            throw err;
+          }),
+        DISPATCH_OPTIONS
+      );
+    } catch (err) {
+      await recordRun({ ...run, status: 'error', error: err.message || String(err), finishedAt: nowISO() });
+      throw err;
+    }
+
+    summary.deferred = run.suppressed.filter((r) => r.action === 'defer').length;
+    summary.dropped = run.suppressed.length - summary.deferred;
+    countPushes(run.trigger, summary.results);
+    if (summary.deferred) pushesTotal.inc({ trigger: run.trigger, outcome: 'deferred', status_code: 'none' }, summary.deferred);
+    if (summary.dropped) pushesTotal.inc({ trigger: run.trigger, outcome: 'dropped', status_code: 'none' }, summary.dropped);
+
+    // prune expired
+    const toRemove = summary.results.filter((r) => r.remove).map((r) => r.endpoint);
+    if (toRemove.length) {
+      await store.removeSubscriptions(toRemove);
+    }
+
+    // delivered pushes count towards each subscriber's rate limit
+    const delivered = summary.results.filter((r) => r.ok).map((r) => r.endpoint);
+    if (delivered.length) {
+      await store.updateSubscriptions(delivered, (sub) => ({ ...sub, recentSends: policy.recordSend(sub.recentSends, now) }));
+    }
+
+    await recordRun({
+      ...run,
+      status: 'completed',
+      finishedAt: nowISO(),
+      summary: summarize(summary),
+      outcomes: summary.results.map(({ endpoint, ok, statusCode, error, attempts, remove }) => ({
+        endpoint,
+        ok,
+        statusCode,
+        error: error || null,
+        attempts,
+        pruned: !!remove,
+      })),
+    });
+
+    log.info('Run complete', summarize(summary));
+    return { ...summary, runId: run.id };
+  }
+
+  // trigger is 'cron', 'snooze' or 'manual'. Manual sends go to every matching subscriber and always leave a
+  // run record; cron sends only pick subscribers whose local delivery hour falls in the scheduler `window`
+  // ({ from, to }, which also sets `now`) and whose countdown day matches one of the event's reminder rules,
+  // and stay silent when nobody is due. Snoozed reminders are sent as-is, and like cron sends they count as
+  // that day's reminder.
+  // `endpoints` restricts the send to those subscriptions (admin test sends, snoozes)
+  async function sendCountdownNotification(
+    eventId = DEFAULT_EVENT_ID,
+    { trigger = 'manual', actor = null, endpoints = null, window = null, now = window ? window.to : clock() } = {}
+  ) {
+    const event = events.get(eventId);
+    if (!event) throw new Error(`Unknown event: ${eventId}`);
+    const scheduled = trigger === 'cron';
+    if (scheduled && !window) throw new Error('Scheduled sends need a window');
+    const countsAsReminder = scheduled || trigger === 'snooze';
+    const only = endpoints ? new Set(endpoints) : null;
+
+    const countdown = getCountdown(event, { now });
+    const run = newRun({
+      trigger,
+      actor,
+      target: only ? 'endpoints' : 'all',
+      eventId: event.id,
+      countdown: { days: countdown.days, targetDate: countdown.targetDateISO, timezone: countdown.timezone },
+    });
+
+    const subscriptions = await store.listSubscriptions();
+    const countdowns = new Map(); // one countdown per zone
+    const countdownFor = (sub) => {
+      const zone = deliveryZone(sub);
+      if (!countdowns.has(zone)) countdowns.set(zone, getCountdown(event, { now, zone }));
+      return countdowns.get(zone);
+    };
+    const dueDates = new Map(); // endpoint -> local date of the reminder a scheduled send delivers
+    const isDue = (sub) => {
+      const date = dueDate(sub, event.id, window.from, window.to);
+      if (date) dueDates.set(sub.endpoint, date);
+      return !!date;
+    };
+    const recipients = subscriptions.filter(
+      (s) =>
+        isActive(s) &&
+        subscribedEvents(s).includes(event.id) &&
+        (!only || only.has(s.endpoint)) &&
+        (trigger === 'manual' || (followsCountdowns(s) && !isPaused(s, now))) &&
+        (!scheduled || (isDue(s) && reminderRuleFor(event, countdownFor(s)))) &&
+        !countdownFor(s).isPast
+    );
+
+    if (!recipients.length) {
+      if (trigger === 'cron') return null;
+      const reason = countdown.isPast ? 'event-past' : 'no-subscribers';
+      logger.info('Nothing to send', { runId: run.id, trigger, eventId: event.id, reason });
+      await recordRun({ ...run, status: 'skipped', reason, finishedAt: nowISO() });
+      return null;
+    }
+
+    function payloadFor(sub) {
+      const local = countdownFor(sub);
+      const rule = reminderRuleFor(event, local);
+      return JSON.stringify({
+        ...generateCountdownMessage(event, local, sub.locale, rule),
+        ...rotationHint(sub),
+        tag: `${event.id}-countdown`,
+        url: event.url,
+        timestamp: now.toMillis(),
+        customData: {
+          eventId: event.id,
+          rule: rule ? rule.id : null,
+          daysRemaining: local.days,
+          targetDate: local.targetDateISO,
+        },
+      });
+    }
+
+    const summary = await deliverRun(run, recipients, payloadFor, { now });
+
+    // mark the day's reminder as done for everyone attempted, so later ticks and catch-ups skip them
+    if (countsAsReminder) {
+      const attempted = summary.results.filter((r) => !r.remove).map((r) => r.endpoint);
+      await store.updateSubscriptions(attempted, (sub) => ({
+        ...sub,
+        lastReminders: {
+          ...(sub.lastReminders || {}),
+          [event.id]: dueDates.get(sub.endpoint) || now.setZone(deliveryZone(sub)).toISODate(),
+        },
+      }));
+    }
+
+    return summary;
+  }
+
+  // ---------- Broadcasts (arbitrary templated messages) ----------
+  // A message is { title, body } (English) and/or { templates: { <locale>: { title, body } } }, plus optional
+  // url, icon, image, tag and vars. Placeholders use the template syntax; with `event` set, {name}, {days},
+  // {targetDate} refer to that countdown in each subscriber's timezone.
+  function parseMessage(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'message must be an object' };
+    const templates = {};
+    for (const [locale, t] of Object.entries(raw.templates || {})) {
+      if (!t || typeof t.title !== 'string' || typeof t.body !== 'string') {
+        return { error: `templates.${locale} needs a title and a body` };
+      }
+      templates[locale] = { title: t.title, body: t.body };
+    }
+    if (raw.title !== undefined || raw.body !== undefined) {
+      if (typeof raw.title !== 'string' || typeof raw.body !== 'string') return { error: 'title and body must be strings' };
+      templates[FALLBACK_LOCALE] = { title: raw.title, body: raw.body };
+    }
+    if (!Object.keys(templates).length) return { error: 'a title and body are required' };
+    if (raw.event !== undefined && !events.has(raw.event)) return { error: `Unknown event: ${raw.event}` };
+    for (const key of ['url', 'icon', 'image', 'tag']) {
+      if (raw[key] !== undefined && typeof raw[key] !== 'string') return { error: `${key} must be a string` };
+    }
+    if (raw.vars !== undefined && (typeof raw.vars !== 'object' || Array.isArray(raw.vars))) {
+      return { error: 'vars must be an object' };
+    }
+
+    return {
+      message: {
+        templates,
+        event: raw.event || null,
+        url: raw.url || '/',
+        icon: raw.icon || '/countdown-icon.png',
+        image: raw.image || null,
+        tag: raw.tag || null,
+        vars: raw.vars || {},
+      },
+    };
+  }
+
+  async function sendBroadcast(message, audience, { trigger = 'broadcast', actor = null, now = clock(), extra = {} } = {}) {
+    const run = newRun({ trigger, actor, target: 'audience', audience, eventId: null, ...extra });
+    const subscriptions = await store.listSubscriptions();
+    const recipients = subscriptions.filter((s) => isActive(s) && !isPaused(s, now) && matchesAudience(s, audience, audienceResolvers, now));
+
+    if (!recipients.length) {
+      logger.info('Nothing to send', { runId: run.id, trigger, reason: 'no-subscribers' });
+      await recordRun({ ...run, status: 'skipped', reason: 'no-subscribers', finishedAt: nowISO() });
+      return null;
+    }
+
+    const event = message.event ? events.get(message.event) : null;
+    const tag = message.tag || `${trigger}-${run.id}`;
+    function payloadFor(sub) {
+      const vars = { ...message.vars };
+      if (event) {
+        const local = getCountdown(event, { now, zone: deliveryZone(sub), locale: sub.locale });
+        Object.assign(vars, { name: local.name, days: local.days, count: local.days, targetDate: local.targetDateString });
+      }
+      return JSON.stringify({
+        ...renderLocalized(message.templates, sub.locale, vars),
+        ...rotationHint(sub),
+        icon: message.icon,
+        image: message.image || undefined,
+        tag,
+        url: message.url,
+        timestamp: now.toMillis(),
+        customData: { runId: run.id, eventId: event ? event.id : null },
+      });
+    }
+
+    return deliverRun(run, recipients, payloadFor, { now });
+  }
+
+  // ---------- Deferred pushes (held back by the delivery policy) ----------
+  // Sent as rendered when they were held back, one per subscriber per tick (oldest first), and checked
+  // against the policy again on the way out.
+  async function sendDeferred(now) {
+    const due = (await store.listDeferred())
+      .filter((d) => DateTime.fromISO(d.dueAt) <= now)
+      .sort((a, b) => (a.dueAt < b.dueAt ? -1 : 1));
+    if (!due.length) return null;
+    const picked = new Map();
+    for (const item of due) if (!picked.has(item.endpoint)) picked.set(item.endpoint, item);
+    // removed before sending so a slow or failing send can't deliver the same push twice
+    await store.removeDeferred(Array.from(picked.values(), (item) => item.id));
+
+    // pushes that can no longer go out are dropped on this tick's run, with why
+    const recipients = [];
+    const dropped = [];
+    for (const item of picked.values()) {
+      const sub = await store.getSubscription(item.endpoint);
+      let reason = null;
+      if (DateTime.fromISO(item.expiresAt) < now) reason = 'expired';
+      else if (!sub) reason = 'removed';
+      else if (!isActive(sub)) reason = 'inactive';
+      else if (isPaused(sub, now)) reason = 'paused';
+      if (reason) dropped.push({ endpoint: item.endpoint, reason, action: 'drop', dueAt: null, originRunId: item.originRunId });
+      else recipients.push(sub);
+    }
+
+    const origins = Array.from(new Set(Array.from(picked.values(), (item) => item.originRunId)));
+    const run = newRun({ trigger: 'deferred', actor: null, target: 'endpoints', eventId: null, originRunIds: origins });
+    return deliverRun(run, recipients, (sub) => picked.get(sub.endpoint).payload, {
+      now,
+      deferral: (sub) => ({ expiresAt: picked.get(sub.endpoint).expiresAt, originRunId: picked.get(sub.endpoint).originRunId }),
+      dropped,
+    });
+  }
+
+  // ---------- Double opt-in (confirmation push on subscribe) ----------
+  // New subscriptions stay 'pending' until the service worker posts back the one-time token from the
+  // confirmation push; only 'active' ones get reminders, broadcasts and announcements. Unconfirmed ones are
+  // removed after CONFIRMATION_TTL_MINUTES. REQUIRE_CONFIRMATION=false activates subscriptions right away.
+  // The confirmation answers the subscriber's own request, so it skips the delivery policy and the run log.
+  const REQUIRE_CONFIRMATION = env.REQUIRE_CONFIRMATION !== 'false';
+  const CONFIRMATION_TTL_MINUTES = parseInt(env.CONFIRMATION_TTL_MINUTES, 10) || 24 * 60;
+  const CONFIRM_TEMPLATES = {};
+  for (const [locale, templates] of Object.entries(LOCALE_TEMPLATES)) {
+    if (templates.confirm) CONFIRM_TEMPLATES[locale] = templates.confirm;
+  }
+
+  // Records from before double opt-in have no status and count as confirmed
+  function isActive(sub) {
+    return !sub.status || sub.status === 'active';
+  }
+
+  function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+  }
+
+  // A fresh token and the fields that mark a subscription pending on it; only the hash is stored
+  function newConfirmation(now = clock()) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const confirmation = {
+      tokenHash: hashToken(token).toString('hex'),
+      expiresAt: now.plus({ minutes: CONFIRMATION_TTL_MINUTES }).toUTC().toISO(),
+    };
+    return { token, fields: { status: 'pending', confirmation } };
+  }
+
+  function confirmationMatches(sub, token, now = clock()) {
+    const { confirmation } = sub;
+    if (!confirmation || DateTime.fromISO(confirmation.expiresAt) <= now) return false;
+    return crypto.timingSafeEqual(Buffer.from(confirmation.tokenHash, 'hex'), hashToken(token));
+  }
+
+  // One attempt, no retries: the subscribe request is waiting on it. Resolves the dispatch result.
+  async function sendConfirmation(sub, token) {
+    const payload = JSON.stringify({
+      ...renderLocalized(CONFIRM_TEMPLATES, sub.locale, {}),
+      tag: 'subscription-confirm',
+      url: '/',
+      customData: { confirm: token },
+    });
+    const { results } = await dispatch([sub], (s) => sendPush(s, payload), { ...DISPATCH_OPTIONS, maxRetries: 0 });
+    countPushes('confirmation', results);
+    return results[0];
+  }
+
+  function confirmationExpired(sub, now = clock()) {
+    return sub.status === 'pending' && (!sub.confirmation || DateTime.fromISO(sub.confirmation.expiresAt) <= now);
+  }
+
+  // unconfirmed subscriptions are removed; unconfirmed key changes are dropped and the record stays
+  async function expirePending(now) {
+    const subs = await store.listSubscriptions();
+    const expired = subs.filter((s) => confirmationExpired(s, now)).map((s) => s.endpoint);
+    if (expired.length) {
+      await store.removeSubscriptions(expired);
+      logger.info('Removed subscriptions that were never confirmed', { count: expired.length });
+    }
+    const staleKeys = subs
+      .filter((s) => s.pendingKeys && !expired.includes(s.endpoint))
+      .filter((s) => DateTime.fromISO(s.pendingKeys.confirmation.expiresAt) <= now)
+      .map((s) => s.endpoint);
+    if (staleKeys.length) {
+      await store.updateSubscriptions(staleKeys, ({ pendingKeys, ...rest }) => rest);
+      logger.info('Dropped key changes that were never confirmed', { count: staleKeys.length });
+    }
+  }
+
+  // ---------- Scheduled announcements (one-off, persisted) ----------
+  // status: pending -> sending -> sent | failed, or cancelled / missed. Pending ones are re-armed on boot;
+  // those whose time passed while the server was down are sent late only within the grace window. Timers
+  // fire on real time, so each scheduler tick also sends whatever is due by `clock`.
+  const ANNOUNCEMENT_GRACE_MINUTES =
+    env.ANNOUNCEMENT_GRACE_MINUTES !== undefined ? parseInt(env.ANNOUNCEMENT_GRACE_MINUTES, 10) : 60;
+  const announcementTimers = createTimers({ now: () => clock().toMillis() });
+  const runningAnnouncements = new Set(); // a timer and a tick may reach the same one
+
+  function parseSendAt(value) {
+    const sendAt = typeof value === 'string' ? DateTime.fromISO(value, { setZone: true }) : null;
+    if (!sendAt || !sendAt.isValid) return { error: 'sendAt must be an ISO 8601 timestamp' };
+    if (sendAt <= clock()) return { error: 'sendAt must be in the future' };
+    return { sendAt: sendAt.toUTC().toISO() };
+  }
+
+  async function runAnnouncement(id) {
+    if (runningAnnouncements.has(id)) return;
+    runningAnnouncements.add(id);
+    try {
+      await sendAnnouncement(id);
+    } finally {
+      runningAnnouncements.delete(id);
+    }
+  }
+
+  async function sendAnnouncement(id) {
+    const announcement = await store.getAnnouncement(id);
+    if (!announcement || announcement.status !== 'pending') return;
+
+    await store.saveAnnouncement({ ...announcement, status: 'sending' });
+    try {
+      const summary = await sendBroadcast(announcement.message, announcement.audience, {
+        trigger: 'announcement',
+        actor: announcement.createdBy,
+        extra: { announcementId: id },
+      });
+      await store.saveAnnouncement({
+        ...announcement,
+        status: 'sent',
+        sentAt: nowISO(),
+        runId: summary ? summary.runId : null,
+      });
+    } catch (err) {
+      logger.error('Announcement failed', { announcementId: id, err });
+      await store.saveAnnouncement({ ...announcement, status: 'failed', error: err.message || String(err) });
+    }
+  }
+
+  function armAnnouncement(announcement) {
+    announcementTimers.schedule(announcement.id, Date.parse(announcement.sendAt), () => {
+      runAnnouncement(announcement.id).catch((err) => logger.error('Announcement failed', { announcementId: announcement.id, err }));
+    });
+  }
+
+  async function sendDueAnnouncements(now) {
+    const due = (await store.listAnnouncements()).filter((a) => a.status === 'pending' && DateTime.fromISO(a.sendAt) <= now);
+    for (const announcement of due) {
+      announcementTimers.cancel(announcement.id);
+      await runAnnouncement(announcement.id);
+    }
+  }
+
+  async function restoreAnnouncements(now = clock()) {
+    const graceStart = now.minus({ minutes: ANNOUNCEMENT_GRACE_MINUTES });
+    let armed = 0;
+    for (const announcement of await store.listAnnouncements()) {
+      if (announcement.status === 'sending') {
+        // the process died mid-send; sending again could reach people twice
+        await store.saveAnnouncement({ ...announcement, status: 'failed', error: 'Interrupted by a restart' });
+        continue;
+      }
+      if (announcement.status !== 'pending') continue;
+
+      const sendAt = DateTime.fromISO(announcement.sendAt);
+      if (sendAt < graceStart) {
+        logger.warn('Announcement missed its slot, not sending', { announcementId: announcement.id, sendAt: announcement.sendAt });
+        await store.saveAnnouncement({ ...announcement, status: 'missed' });
+        continue;
+      }
+      if (sendAt <= now) logger.info('Catching up on announcement', { announcementId: announcement.id, sendAt: announcement.sendAt });
+      armAnnouncement(announcement);
+      armed++;
+    }
+    return armed;
+  }
+
+  // ---------- Snoozes ("Remind me tomorrow") ----------
+  const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+  // Without explicit minutes the reminder comes back tomorrow at the subscriber's delivery hour
+  function snoozeDueAt(sub, minutes, now) {
+    if (minutes) return now.plus({ minutes });
+    return now.setZone(deliveryZone(sub)).plus({ days: 1 }).set({ hour: deliveryHour(sub), minute: 0, second: 0, millisecond: 0 });
+  }
+
+  async function sendDueSnoozes(now) {
+    const due = (await store.listSnoozes()).filter((s) => DateTime.fromISO(s.dueAt) <= now);
+    if (!due.length) return;
+    // removed before sending so a slow or failing send can't fire the same snooze twice
+    await store.removeSnoozes(due);
+
+    const byEvent = new Map();
+    for (const snooze of due) {
+      if (!events.has(snooze.eventId)) continue;
+      if (!byEvent.has(snooze.eventId)) byEvent.set(snooze.eventId, []);
+      byEvent.get(snooze.eventId).push(snooze.endpoint);
+    }
+    for (const [eventId, endpoints] of byEvent) {
+      await sendCountdownNotification(eventId, { trigger: 'snooze', endpoints, now });
+    }
+  }
+
+  // ---------- Scheduler (missed-run catch-up, single-instance lease) ----------
+  // Each event's scheduled sends advance a window: a tick delivers every reminder whose delivery time falls
+  // between the end of the last successful window and now, then records the new end. After downtime the next
+  // tick (one runs at startup) covers the gap, reaching back no further than the catch-up grace; the grace
+  // only clips such catch-up windows, never the span between two regular ticks however far apart. A lease in
+  // the store lets only one instance work an event's window at a time; instances must share the sqlite store
+  // for that to hold, and the lease should outlast the longest send.
+  const CATCHUP_GRACE_MINUTES = Math.min(
+    env.CRON_CATCHUP_GRACE_MINUTES !== undefined ? parseInt(env.CRON_CATCHUP_GRACE_MINUTES, 10) : 180,
+    23 * 60
+  );
+  const LEASE_MS = parseInt(env.CRON_LEASE_SECONDS || '600', 10) * 1000;
+  const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  let lastTickAt = null; // this process's previous tick
+
+  // Runs `fn` while holding the named lease; resolves undefined without running it if another instance holds it
+  async function withLease(name, fn) {
+    if (!(await store.acquireLease(name, INSTANCE_ID, LEASE_MS, clock().toMillis()))) return undefined;
+    try {
+      return await fn();
+    } finally {
+      await store.releaseLease(name, INSTANCE_ID);
+    }
+  }
+
+  async function runScheduledWindow(eventId, now, { startup = false } = {}) {
+    return withLease(`cron:${eventId}`, async () => {
+      const started = process.hrtime.bigint();
+      const state = await store.getSchedulerState(eventId);
+      // the first ever tick only starts the clock: nothing before it was ours to send
+      let from = state ? DateTime.fromISO(state.processedUntil) : now;
+      // a window starting where our previous tick ended is regular; anything older missed ticks
+      const catchingUp = startup || !lastTickAt || from < lastTickAt;
+      const earliest = now.minus({ minutes: CATCHUP_GRACE_MINUTES });
+      if (catchingUp && from < earliest) {
+        logger.warn('Reminders past the catch-up grace, not sending', { eventId, from: from.toISO(), to: earliest.toISO() });
+        from = earliest;
+      }
+      if (startup && from < now) logger.info('Catching up on reminders', { eventId, since: from.toISO() });
+
+      const summary = from < now ? await sendCountdownNotification(eventId, { trigger: 'cron', window: { from, to: now } }) : null;
+      await store.saveSchedulerState(eventId, {
+        eventId,
+        processedUntil: now.toUTC().toISO(),
+        lastRunId: summary ? summary.runId : (state && state.lastRunId) || null,
+        lastRunAt: summary ? now.toUTC().toISO() : (state && state.lastRunAt) || null,
+      });
+      cronRunDuration.observe({ event: eventId }, Number(process.hrtime.bigint() - started) / 1e9);
+      cronLastSuccess.set({ event: eventId }, Math.floor(now.toSeconds()));
+      return summary;
+    });
+  }
+
+  // Every log line of a tick carries its cronRunId (and the runId of any delivery run it starts)
+  async function runScheduledTick(now = clock(), options = {}) {
+    return withLogContext({ cronRunId: crypto.randomUUID() }, async () => {
+      logger.debug('Scheduler tick', { at: now.toISO(), startup: !!options.startup });
+      // snoozes first, so a snoozed reminder landing in the same tick counts as the day's reminder
+      await withLease('snoozes', () => sendDueSnoozes(now)).catch((err) => logger.error('Snoozed send failed', { err }));
+      await withLease('deferred', () => sendDeferred(now)).catch((err) => logger.error('Deferred send failed', { err }));
+      await withLease('announcements', () => sendDueAnnouncements(now)).catch((err) =>
+        logger.error('Sending due announcements failed', { err })
+      );
+      await withLease('pending', () => expirePending(now)).catch((err) =>
+        logger.error('Expiring pending subscriptions failed', { err })
+      );
+      for (const eventId of events.keys()) {
+        await runScheduledWindow(eventId, now, options).catch((err) => logger.error('Scheduled send failed', { eventId, err }));
+      }
+      lastTickAt = now;
+    });
+  }
+
+  async function sendAllCountdowns(options) {
+    const summaries = {};
+    for (const eventId of events.keys()) {
+      summaries[eventId] = await sendCountdownNotification(eventId, options);
+    }
+    return summaries;
+  }
+
+  // per-run counts without the per-endpoint results, safe to return to clients
+  function summarize(summary) {
+    if (!summary) return null;
+    const { results, ...counts } = summary;
+    return counts;
+  }
+
+  // ---------- Routes ----------
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(rootDir, 'public', 'index.html'));
+  });
+
+  // APP_NAME / APP_SHORT_NAME / APP_DESCRIPTION name the installed app
+  const manifest = buildManifest({
+    name: env.APP_NAME || 'Helalink',
+    shortName: env.APP_SHORT_NAME || undefined,
+    description: env.APP_DESCRIPTION || 'Countdown and daily launch reminders',
+  });
+  app.get('/manifest.webmanifest', (req, res) => {
+    res.type('application/manifest+json').json(manifest);
+  });
+
+  // liveness: the process is up and serving requests
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // readiness: the store answers and a usable VAPID key is loaded (the server only listens after startup)
+  app.get('/readyz', async (req, res) => {
+    const checks = { vapid: vapid && vapid.current && vapid.current.privateKey ? 'ok' : 'missing' };
+    try {
+      await store.countSubscriptions();
+      checks.store = 'ok';
+    } catch (err) {
+      checks.store = 'error';
+    }
+    const ready = Object.values(checks).every((c) => c === 'ok');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not-ready', checks });
+  });
+
+  app.get('/metrics', requireAdmin, async (req, res) => {
+    try {
+      res.type(metrics.contentType).send(await metrics.render());
+    } catch (err) {
+      logger.error('Could not render metrics', { err });
+      res.status(500).json({ success: false, error: 'Could not render metrics' });
+    }
+  });
+
+  // front-end expects GET /api/vapidPublicKey returning JSON { publicKey, keyId }
+  app.get('/api/vapidPublicKey', (req, res) => {
+    res.json({ publicKey: vapid.current.publicKey, keyId: vapid.current.id });
+  });
+
+  // /api/events lists the countdowns clients can follow
+  app.get('/api/events', (req, res) => {
+    res.json(
+      Array.from(events.values()).map((event) => ({
+        id: event.id,
+        default: event.id === DEFAULT_EVENT_ID,
+        ...getCountdown(event, { now: clock() }),
+      }))
+    );
+  });
+
+  // /api/countdown?event=<id> returns timezone-aware info used by the client
+  // optional ?tz=<IANA zone> counts the days in the viewer's timezone, ?locale= localises the names
+  app.get('/api/countdown', (req, res) => {
+    const { status, error, event, zone, locale } = countdownQuery(req.query);
+    if (error) return res.status(status).json({ success: false, error });
+    res.json(getCountdown(event, { now: clock(), zone, locale }));
+  });
+
+  // the same countdown as an event stream, with serverTime (epoch ms) for the page to correct its clock
+  app.get('/api/countdown/stream', (req, res) => {
+    const { status, error, eventId, zone, locale } = countdownQuery(req.query);
+    if (error) return res.status(status).json({ success: false, error });
+    countdownStream.open(req, res, { eventId, zone, locale });
+  });
+
+  // Accept both raw subscription or wrapped payload { subscription, ...meta }. A 400 with code
+  // "subscription-gone" means the push service answered the confirmation push with 404/410: the browser's
+  // subscription is dead and subscribing again needs a new one.
+  app.post('/api/subscribe', subscribeRateLimit, async (req, res) => {
+    const payload = req.body;
+    const checked = subscriptionValidator.validate(payload && payload.subscription ? payload.subscription : payload);
+    if (checked.error) return res.status(400).json({ success: false, error: checked.error });
+    const sub = checked.subscription;
+
+    // events to follow and delivery preferences come from the wrapped meta:
+    // { subscription, events: [...] | event, topics, timezone, hour, locale, vapidKeyId, previous: { endpoint, auth } }
+    // `previous` is sent by the service worker after re-subscribing with a new key; it carries the old
+    // subscription's auth secret as proof, and the old record's settings move over to the new endpoint.
+    let eventIds = null;
+    let delivery = {};
+    let vapidKeyId = null; // only set when the client says which key it subscribed with
+    let previous = null;
+    if (payload && payload.subscription) {
+      if (payload.vapidKeyId !== undefined) {
+        if (!vapid.byId.has(payload.vapidKeyId)) {
+          return res.status(400).json({ success: false, error: 'Unknown VAPID key' });
+        }
+        vapidKeyId = payload.vapidKeyId;
+      }
+      if (payload.previous && typeof payload.previous.endpoint === 'string' && payload.previous.endpoint !== sub.endpoint) {
+        try {
+          const prior = await store.getSubscription(payload.previous.endpoint);
+          if (ownsSubscription(prior, payload.previous.auth)) previous = prior;
+        } catch (err) {
+          logger.warn('Could not look up previous subscription', { err });
+        }
+      }
+
+      if (Array.isArray(payload.events)) eventIds = payload.events;
+      else if (payload.event) eventIds = [payload.event];
+
+      const parsed = parseDeliveryMeta(payload);
+      if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+      delivery = parsed.meta;
+    }
+    if (eventIds) {
+      const unknown = eventIds.filter((id) => typeof id !== 'string' || !events.has(id));
+      if (unknown.length || !eventIds.length) {
+        return res.status(400).json({ success: false, error: `Unknown event(s): ${unknown.join(', ')}` });
+      }
+      eventIds = Array.from(new Set(eventIds));
+    }
+
+    let confirm = null;
+    try {
+      const existing = await store.getSubscription(sub.endpoint);
+      if (!existing && !previous && (await store.countSubscriptions()) >= MAX_SUBSCRIPTIONS) {
+        logger.warn('Subscription limit reached, refusing', { limit: MAX_SUBSCRIPTIONS, endpoint: endpointRef(sub.endpoint) });
+        return res.status(503).json({ success: false, error: 'Not accepting new subscriptions right now' });
+      }
+      // Keys that don't match the stored auth secret prove nothing: anyone who knows an endpoint could post
+      // it. They wait beside the current keys until a confirmation push encrypted to them is answered, which
+      // only the browser behind the endpoint can read; until then the record is left as it was.
+      if (existing && !ownsSubscription(existing, sub.keys.auth)) {
+        const keyConfirm = newConfirmation();
+        const pendingKeys = {
+          keys: keyVault.seal(sub.keys, sub.endpoint),
+          authHash: hashAuth(sub.keys.auth),
+          vapidKeyId: vapidKeyId || existing.vapidKeyId || vapid.current.id,
+          confirmation: keyConfirm.fields.confirmation,
+        };
+        await store.saveSubscription({ ...existing, pendingKeys });
+        logger.info('New keys for a stored subscription, awaiting confirmation', { endpoint: endpointRef(sub.endpoint) });
+        const result = await sendConfirmation({ ...existing, ...pendingKeys }, keyConfirm.token);
+        if (result.remove) {
+          await store.removeSubscriptions([sub.endpoint]);
+          return res.status(400).json({ success: false, error: 'The push service rejected this subscription', code: 'subscription-gone' });
+        }
+        return res.status(201).json({ success: true, id: sub.endpoint, status: 'pending' });
+      }
+
+      // a replacement made by the service worker inherits the old record's confirmation
+      const confirmed = existing ? isActive(existing) : !!previous && isActive(previous);
+      confirm = REQUIRE_CONFIRMATION && !confirmed ? newConfirmation() : null;
+      let record;
+      if (!existing) {
+        const carried = {};
+        if (previous) {
+          for (const key of ['events', 'topics', 'timezone', 'deliveryHour', 'locale', 'lastReminders']) {
+            if (previous[key] !== undefined) carried[key] = previous[key];
+          }
+        }
+        record = {
+          ...carried,
+          endpoint: sub.endpoint,
+          expirationTime: sub.expirationTime,
+          keys: keyVault.seal(sub.keys, sub.endpoint),
+          authHash: hashAuth(sub.keys.auth),
+          events: eventIds || carried.events || [DEFAULT_EVENT_ID],
+          vapidKeyId: vapidKeyId || vapid.current.id,
+          ...delivery,
+        };
+        logger.info(previous ? 'Subscription re-created by service worker' : 'New subscription stored', {
+          endpoint: endpointRef(sub.endpoint),
+        });
+        subscribeTotal.inc({ result: 'created' });
+      } else {
+        // same auth secret: p256dh may still have changed, so refresh the keys
+        const events = eventIds ? Array.from(new Set([...subscribedEvents(existing), ...eventIds])) : subscribedEvents(existing);
+        record = {
+          ...existing,
+          ...delivery,
+          keys: keyVault.seal(sub.keys, sub.endpoint),
+          authHash: hashAuth(sub.keys.auth),
+          events,
+          vapidKeyId: vapidKeyId || existing.vapidKeyId || vapid.current.id,
+        };
+        logger.info('Subscription already exists, refreshed', { endpoint: endpointRef(sub.endpoint) });
+        subscribeTotal.inc({ result: 'refreshed' });
+      }
+      if (confirm) {
+        Object.assign(record, confirm.fields);
+      } else {
+        record.status = 'active';
+        delete record.confirmation;
+      }
+      await store.saveSubscription(record);
+      if (previous) {
+        await store.removeSubscriptions([previous.endpoint]);
+        logger.info('Replaced previous subscription', { endpoint: endpointRef(previous.endpoint) });
+      }
+
+      if (confirm) {
+        const result = await sendConfirmation(record, confirm.token);
+        if (result.remove) {
+          await store.removeSubscriptions([record.endpoint]);
+          return res.status(400).json({ success: false, error: 'The push service rejected this subscription', code: 'subscription-gone' });
+        }
+        if (!result.ok) {
+          logger.warn('Confirmation push failed', {
+            endpoint: endpointRef(record.endpoint),
+            statusCode: result.statusCode,
+            error: result.error,
+          });
+        }
+      }
+    } catch (err) {
+      logger.error('Could not store subscription', { err });
+      return res.status(500).json({ success: false, error: 'Could not store subscription' });
+    }
+
+    // return an id (endpoint) for client convenience
+    return res.status(201).json({ success: true, id: sub.endpoint, status: confirm ? 'pending' : 'active' });
+  });
+
+  // The service worker posts back the token from the confirmation push: { endpoint, token }
+  app.post('/api/subscription/confirm', subscribeRateLimit, async (req, res) => {
+    const { endpoint, token } = req.body || {};
+    if (typeof endpoint !== 'string' || typeof token !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint and token are required' });
+    }
+    try {
+      const sub = await store.getSubscription(endpoint);
+      if (!sub) return res.status(404).json({ success: false, error: 'Subscription not found' });
+      // answering the push sent to new keys proves the browser holds them: they replace the stored ones
+      if (sub.pendingKeys && confirmationMatches(sub.pendingKeys, token)) {
+        const { pendingKeys, confirmation, ...rest } = sub;
+        const { keys, authHash, vapidKeyId } = pendingKeys;
+        await store.saveSubscription({ ...rest, keys, authHash, vapidKeyId, status: 'active', confirmedAt: nowISO() });
+        logger.info('Subscription keys replaced', { endpoint: endpointRef(endpoint) });
+        return res.json({ success: true, status: 'active' });
+      }
+      if (isActive(sub)) return res.json({ success: true, status: 'active' });
+      if (!confirmationMatches(sub, token)) {
+        return res.status(400).json({ success: false, error: 'Invalid or expired confirmation token' });
+      }
+      const { confirmation, ...rest } = sub;
+      await store.saveSubscription({ ...rest, status: 'active', confirmedAt: nowISO() });
+      logger.info('Subscription confirmed', { endpoint: endpointRef(endpoint) });
+      res.json({ success: true, status: 'active' });
+    } catch (err) {
+      logger.error('Could not confirm subscription', { err });
+      res.status(500).json({ success: false, error: 'Could not confirm subscription' });
+    }
+  });
+
+  // { endpoint, auth } or the subscription itself ({ subscription: { endpoint, keys: { auth } } }); the auth
+  // secret proves the caller is the subscriber, like the other self-service routes
+  app.post('/api/unsubscribe', subscribeRateLimit, async (req, res) => {
+    const payload = req.body || {};
+    const wrapped = payload.subscription || {};
+    const endpoint = payload.endpoint || wrapped.endpoint;
+    const auth = payload.auth || (wrapped.keys && wrapped.keys.auth);
+    if (typeof endpoint !== 'string' || !endpoint || typeof auth !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+
+    try {
+      if (!(await ownedSubscription(endpoint, auth))) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+      await store.removeSubscriptions([endpoint]);
+    } catch (err) {
+      logger.error('Could not remove subscription', { err });
+      return res.status(500).json({ success: false, error: 'Could not remove subscription' });
+    }
+
+    logger.info('Unsubscribed', { endpoint: endpointRef(endpoint) });
+    unsubscribeTotal.inc();
+    return res.json({ success: true });
+  });
+
+  app.get('/api/topics', (req, res) => {
+    res.json({ topics: TOPICS, defaults: DEFAULT_TOPICS });
+  });
+
+  // Change topics later: { endpoint, auth, topics }, the auth secret proving ownership of the subscription
+  app.post('/api/subscription/topics', async (req, res) => {
+    const { endpoint, auth, topics } = req.body || {};
+    if (typeof endpoint !== 'string' || typeof auth !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+    const parsed = parseTopics(topics);
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+    try {
+      const sub = await ownedSubscription(endpoint, auth);
+      if (!sub) return res.status(404).json({ success: false, error: 'Subscription not found' });
+      await store.saveSubscription({ ...sub, topics: parsed.topics });
+      res.json({ success: true, topics: parsed.topics });
+    } catch (err) {
+      logger.error('Could not update topics', { err });
+      res.status(500).json({ success: false, error: 'Could not update topics' });
+    }
+  });
+
+  // What the server holds for a browser's subscription: active, pending (confirmation outstanding) or unknown
+  // (never stored, pruned, never confirmed in time, or not this auth secret). Pages check it on load and
+  // subscribe again when the server has lost track of them.
+  app.get('/api/subscription/status', async (req, res) => {
+    const endpoint = req.query.endpoint;
+    if (typeof endpoint !== 'string' || !req.get('x-subscription-auth')) {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+    try {
+      const sub = await ownedSubscription(endpoint, req.get('x-subscription-auth'));
+      const status = !sub || confirmationExpired(sub) ? 'unknown' : isActive(sub) ? 'active' : sub.status;
+      res.json({ success: true, status });
+    } catch (err) {
+      logger.error('Could not load subscription status', { err });
+      res.status(500).json({ success: false, error: 'Could not load subscription status' });
+    }
+  });
+
+  // Preferences: GET /api/subscription/preferences?endpoint=<endpoint> with the auth secret in the
+  // X-Subscription-Auth header (kept out of URLs and access logs), PATCH with { endpoint, auth, ...changes }.
+  app.get('/api/subscription/preferences', async (req, res) => {
+    const endpoint = req.query.endpoint;
+    if (typeof endpoint !== 'string' || !req.get('x-subscription-auth')) {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+    try {
+      const sub = await ownedSubscription(endpoint, req.get('x-subscription-auth'));
+      if (!sub) return res.status(404).json({ success: false, error: 'Subscription not found' });
+      res.json({ success: true, preferences: preferencesOf(sub), options: { topics: TOPICS, locales: LOCALES } });
+    } catch (err) {
+      logger.error('Could not load preferences', { err });
+      res.status(500).json({ success: false, error: 'Could not load preferences' });
+    }
+  });
+
+  app.patch('/api/subscription/preferences', async (req, res) => {
+    const { endpoint, auth, ...changes } = req.body || {};
+    if (typeof endpoint !== 'string' || typeof auth !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+    const parsed = parsePreferences(changes);
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+    try {
+      const sub = await ownedSubscription(endpoint, auth);
+      if (!sub) return res.status(404).json({ success: false, error: 'Subscription not found' });
+      const updated = { ...sub, ...parsed.set };
+      for (const key of parsed.unset) delete updated[key];
+      await store.saveSubscription(updated);
+      res.json({ success: true, preferences: preferencesOf(updated) });
+    } catch (err) {
+      logger.error('Could not update preferences', { err });
+      res.status(500).json({ success: false, error: 'Could not update preferences' });
+    }
+  });
+
+  // Snooze from the service worker's "Remind me tomorrow" action: { endpoint, auth, event, minutes? }.
+  // The subscription's auth secret proves the caller owns it.
+  app.post('/api/snooze', async (req, res) => {
+    const { endpoint, auth, event: eventId = DEFAULT_EVENT_ID, minutes } = req.body || {};
+    if (typeof endpoint !== 'string' || typeof auth !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint and auth are required' });
+    }
+    if (!events.has(eventId)) return res.status(404).json({ success: false, error: `Unknown event: ${eventId}` });
+    if (minutes !== undefined && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES)) {
+      return res.status(400).json({ success: false, error: `minutes must be an integer between 1 and ${MAX_SNOOZE_MINUTES}` });
+    }
+    try {
+      const sub = await ownedSubscription(endpoint, auth);
+      if (!sub) return res.status(404).json({ success: false, error: 'Subscription not found' });
+      const dueAt = snoozeDueAt(sub, minutes, clock()).toUTC().toISO();
+      await store.saveSnooze({ endpoint, eventId, dueAt });
+      logger.info('Snoozed', { eventId, dueAt, endpoint: endpointRef(endpoint) });
+      res.status(202).json({ success: true, dueAt });
+    } catch (err) {
+      logger.error('Could not snooze', { err });
+      res.status(500).json({ success: false, error: 'Could not snooze' });
+    }
+  });
+
+  // delivery history: GET /api/runs?event=<id>&limit=<n> lists summaries, /api/runs/:id has per-endpoint outcomes
+  app.get('/api/runs', requireAdmin, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), RUNS_RETENTION);
+    try {
+      const runs = await store.listRuns({ eventId: req.query.event, limit });
+      res.json(runs.map(({ outcomes, suppressed, ...run }) => run));
+    } catch (err) {
+      logger.error('Could not list runs', { err });
+      res.status(500).json({ success: false, error: 'Could not list runs' });
+    }
+  });
+
+  app.get('/api/runs/:id', requireAdmin, async (req, res) => {
+    try {
+      const run = await store.getRun(req.params.id);
+      if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+      res.json(run);
+    } catch (err) {
+      logger.error('Could not load run', { err });
+      res.status(500).json({ success: false, error: 'Could not load run' });
+    }
+  });
+
+  // optional body { event, endpoint } limits the test send to one event and/or one subscription
+  app.post('/api/test-notification', requireAdmin, async (req, res) => {
+    const { event: eventId, endpoint } = req.body || {};
+    if (eventId && !events.has(eventId)) {
+      return res.status(404).json({ success: false, error: `Unknown event: ${eventId}` });
+    }
+    if (endpoint !== undefined && typeof endpoint !== 'string') {
+      return res.status(400).json({ success: false, error: 'endpoint must be a string' });
+    }
+    try {
+      if (endpoint && !(await store.getSubscription(endpoint))) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+      const options = { trigger: 'manual', actor: req.admin.id, endpoints: endpoint ? [endpoint] : null };
+      const summaries = eventId
+        ? { [eventId]: await sendCountdownNotification(eventId, options) }
+        : await sendAllCountdowns(options);
+      const counts = {};
+      for (const [id, summary] of Object.entries(summaries)) counts[id] = summarize(summary);
+      res.json({ success: true, summary: counts });
+    } catch (err) {
+      logger.error('Error sending notifications', { err });
+      res.status(500).json({ error: err.message || String(err) });
+    }
+  });
+
+  // Broadcast a templated message: { message: {...}, audience: { topic, locales, timezones, minAgeDays, ... } }
+  app.post('/api/admin/broadcast', requireAdmin, async (req, res) => {
+    const { message: rawMessage, audience: rawAudience } = req.body || {};
+    const parsedMessage = parseMessage(rawMessage);
+    if (parsedMessage.error) return res.status(400).json({ success: false, error: parsedMessage.error });
+    const parsedAudience = parseAudience(rawAudience, { topics: TOPICS, events });
+    if (parsedAudience.error) return res.status(400).json({ success: false, error: parsedAudience.error });
+
+    try {
+      const summary = await sendBroadcast(parsedMessage.message, parsedAudience.audience, { actor: req.admin.id });
+      res.json({ success: true, summary: summarize(summary) });
+    } catch (err) {
+      logger.error('Error sending broadcast', { err });
+      res.status(500).json({ success: false, error: err.message || String(err) });
+    }
+  });
+
+  // One-off announcements: { sendAt, message, audience }; only pending ones can be edited or cancelled
+  app.get('/api/admin/announcements', requireAdmin, async (req, res) => {
+    try {
+      res.json(await store.listAnnouncements({ status: req.query.status }));
+    } catch (err) {
+      logger.error('Could not list announcements', { err });
+      res.status(500).json({ success: false, error: 'Could not list announcements' });
+    }
+  });
+
+  app.get('/api/admin/announcements/:id', requireAdmin, async (req, res) => {
+    try {
+      const announcement = await store.getAnnouncement(req.params.id);
+      if (!announcement) return res.status(404).json({ success: false, error: 'Announcement not found' });
+      res.json(announcement);
+    } catch (err) {
+      logger.error('Could not load announcement', { err });
+      res.status(500).json({ success: false, error: 'Could not load announcement' });
+    }
+  });
+
+  app.post('/api/admin/announcements', requireAdmin, async (req, res) => {
+    const { sendAt: rawSendAt, message: rawMessage, audience: rawAudience } = req.body || {};
+    const parsedSendAt = parseSendAt(rawSendAt);
+    if (parsedSendAt.error) return res.status(400).json({ success: false, error: parsedSendAt.error });
+    const parsedMessage = parseMessage(rawMessage);
+    if (parsedMessage.error) return res.status(400).json({ success: false, error: parsedMessage.error });
+    const parsedAudience = parseAudience(rawAudience, { topics: TOPICS, events });
+    if (parsedAudience.error) return res.status(400).json({ success: false, error: parsedAudience.error });
+
+    try {
+      const announcement = await store.saveAnnouncement({
+        id: crypto.randomUUID(),
+        status: 'pending',
+        sendAt: parsedSendAt.sendAt,
+        message: parsedMessage.message,
+        audience: parsedAudience.audience,
+        createdBy: req.admin.id,
+      });
+      armAnnouncement(announcement);
+      logger.info('Announcement scheduled', { announcementId: announcement.id, sendAt: announcement.sendAt, actor: req.admin.id });
+      res.status(201).json(announcement);
+    } catch (err) {
+      logger.error('Could not create announcement', { err });
+      res.status(500).json({ success: false, error: 'Could not create announcement' });
+    }
+  });
+
+  app.patch('/api/admin/announcements/:id', requireAdmin, async (req, res) => {
+    const changes = {};
+    const body = req.body || {};
+    if (body.sendAt !== undefined) {
+      const parsed = parseSendAt(body.sendAt);
+      if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+      changes.sendAt = parsed.sendAt;
+    }
+    if (body.message !== undefined) {
+      const parsed = parseMessage(body.message);
+      if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+      changes.message = parsed.message;
+    }
+    if (body.audience !== undefined) {
+      const parsed = parseAudience(body.audience, { topics: TOPICS, events });
+      if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+      changes.audience = parsed.audience;
+    }
+
+    try {
+      const announcement = await store.getAnnouncement(req.params.id);
+      if (!announcement) return res.status(404).json({ success: false, error: 'Announcement not found' });
+      if (announcement.status !== 'pending') {
+        return res.status(409).json({ success: false, error: `Announcement is ${announcement.status}` });
+      }
+      const updated = await store.saveAnnouncement({ ...announcement, ...changes, updatedBy: req.admin.id });
+      armAnnouncement(updated);
+      res.json(updated);
+    } catch (err) {
+      logger.error('Could not update announcement', { err });
+      res.status(500).json({ success: false, error: 'Could not update announcement' });
+    }
+  });
+
+  app.delete('/api/admin/announcements/:id', requireAdmin, async (req, res) => {
+    try {
+      const announcement = await store.getAnnouncement(req.params.id);
+      if (!announcement) return res.status(404).json({ success: false, error: 'Announcement not found' });
+      if (announcement.status !== 'pending') {
+        return res.status(409).json({ success: false, error: `Announcement is ${announcement.status}` });
+      }
+      announcementTimers.cancel(announcement.id);
+      await store.saveAnnouncement({ ...announcement, status: 'cancelled', cancelledBy: req.admin.id });
+      logger.info('Announcement cancelled', { announcementId: announcement.id, actor: req.admin.id });
+      res.json({ success: true });
+    } catch (err) {
+      logger.error('Could not cancel announcement', { err });
+      res.status(500).json({ success: false, error: 'Could not cancel announcement' });
+    }
+  });
+
+  // after editing EVENTS_FILE: reload it without a restart; open pages update straight away
+  app.post('/api/admin/events/reload', requireAdmin, (req, res) => {
+    try {
+      res.json({ success: true, events: Array.from(reloadEvents().keys()) });
+    } catch (err) {
+      logger.warn('Could not reload countdown events', { err });
+      res.status(400).json({ success: false, error: err.message });
+    }
+  });
+
+  // VAPID keys in use: a legacy key can be retired once no subscriber is left on it
+  app.get('/api/admin/vapid-keys', requireAdmin, async (req, res) => {
+    try {
+      const counts = {};
+      for (const sub of await store.listSubscriptions()) {
+        const id = sub.vapidKeyId || vapid.current.id;
+        counts[id] = (counts[id] || 0) + 1;
+      }
+      const keys = [vapid.current, ...vapid.legacy].map((k) => ({
+        id: k.id,
+        publicKey: k.publicKey,
+        current: k.id === vapid.current.id,
+        subscribers: counts[k.id] || 0,
+      }));
+      const retired = Object.keys(counts).filter((id) => !vapid.byId.has(id));
+      res.json({ keys, retired: retired.map((id) => ({ id, subscribers: counts[id] })) });
+    } catch (err) {
+      logger.error('Could not list VAPID keys', { err });
+      res.status(500).json({ success: false, error: 'Could not list VAPID keys' });
+    }
+  });
+
+  // API keys: the plaintext key is only returned once, at creation
+  app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+      const keys = await store.listApiKeys();
+      res.json(keys.map(({ hash, ...key }) => key));
+    } catch (err) {
+      logger.error('Could not list API keys', { err });
+      res.status(500).json({ success: false, error: 'Could not list API keys' });
+    }
+  });
+
+  app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+    const name = req.body && req.body.name;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    try {
+      const { id, key, hash } = generateApiKey();
+      const record = await store.saveApiKey({ id, name: name.trim(), hash, createdBy: req.admin.id, revokedAt: null });
+      logger.info('API key created', { keyId: id, actor: req.admin.id });
+      const { hash: omitted, ...publicRecord } = record;
+      res.status(201).json({ success: true, key, ...publicRecord });
+    } catch (err) {
+      logger.error('Could not create API key', { err });
+      res.status(500).json({ success: false, error: 'Could not create API key' });
+    }
+  });
+
+  app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+      const record = await store.getApiKey(req.params.id);
+      if (!record) return res.status(404).json({ success: false, error: 'API key not found' });
+      if (!record.revokedAt) await store.saveApiKey({ ...record, revokedAt: nowISO() });
+      logger.info('API key revoked', { keyId: record.id, actor: req.admin.id });
+      res.json({ success: true });
+    } catch (err) {
+      logger.error('Could not revoke API key', { err });
+      res.status(500).json({ success: false, error: 'Could not revoke API key' });
+    }
+  });
+
+  // body-parser errors (oversized or malformed JSON) answer in the API's JSON shape
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') return res.status(413).json({ success: false, error: 'Request body too large' });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ success: false, error: 'Malformed JSON body' });
+    next(err);
+  });
+
+  // ---------- Start / stop ----------
+  // Opens the store, brings older records up to date, re-arms announcements and catches up on reminders
+  // that fell due while the server was down.
+  async function start() {
+    const imported = await store.init();
+    if (imported) logger.info('Imported legacy subscriptions', { count: imported, file: LEGACY_SUBSCRIPTIONS_FILE });
+
+    // Subscriptions from before key rotation was supported were all created with the key in use at the time
+    // of the upgrade; record it now so a later rotation knows which key they need.
+    const unstamped = (await store.listSubscriptions()).filter((s) => !s.vapidKeyId).map((s) => s.endpoint);
+    if (unstamped.length) {
+      await store.updateSubscriptions(unstamped, (s) => ({ ...s, vapidKeyId: vapid.current.id }));
+      logger.info('Recorded VAPID key on existing subscriptions', { vapidKeyId: vapid.current.id, count: unstamped.length });
+    }
+    // keys stored before encryption was configured (or imported from subscriptions.json) get sealed now
+    if (keyVault.enabled) {
+      const sealed = await resealSubscriptions(store, keyVault, (s) => !s.keys.sealed);
+      if (sealed) logger.info('Encrypted subscription keys', { count: sealed, masterKeyId: keyVault.keyId });
+    } else {
+      logger.warn('SUBSCRIPTION_MASTER_KEY is not set: subscription keys are stored in plaintext');
+    }
+    await retireLegacySubscriptions();
+    const armed = await restoreAnnouncements();
+    if (armed) logger.info('Scheduled announcements pending', { count: armed });
+    if (vapid.legacy.length) {
+      logger.info('Legacy VAPID keys still accepted', { vapidKeyId: vapid.current.id, legacy: vapid.legacy.length });
+    }
+    logger.info('Using store', { driver: store.driver, file: STORE_FILE });
+    if (!ADMIN_TOKENS.length && !(await store.listApiKeys()).length) {
+      logger.warn('No ADMIN_TOKENS or API keys configured: admin routes will reject every request');
+    }
+    // catch up on reminders that fell due while the server was down
+    await runScheduledTick(clock(), { startup: true });
+  }
+
+  // Cancels pending announcement timers, ends open countdown streams; closes the store unless it was passed in
+  async function stop() {
+    announcementTimers.cancelAll();
+    countdownStream.close();
+    if (!options.store) await store.close();
+  }
+
+  return {
+    app,
+    store,
+    get events() {
+      return events;
+    },
+    logger,
+    start,
+    stop,
+    runScheduledTick,
+    reloadEvents,
+  };
+}
+
+module.exports = { createApp };
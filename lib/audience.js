@@ -0,0 +1,72 @@
+// lib/audience.js - topic and segment filters for targeted sends
+//
+// An audience is a plain object; every condition given must hold:
+//   topic / topics     subscriber follows the topic (any of the topics)
+//   events             subscriber follows any of these countdown events
+//   locales            subscriber locale matches, "sw" also matching "sw-KE"
+//   timezones          subscriber timezone is one of these
+//   minAgeDays / maxAgeDays   days since the subscription was created
+
+const { DateTime, IANAZone } = require('luxon');
+
+function stringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === 'string' && v);
+}
+
+// Validates a raw audience from an API request; `topics` and `events` are the known ids
+function parseAudience(raw, { topics, events }) {
+  if (raw === undefined || raw === null) return { audience: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'audience must be an object' };
+
+  const audience = {};
+  const wanted = raw.topic !== undefined ? [raw.topic] : raw.topics;
+  if (wanted !== undefined) {
+    if (!stringList(wanted)) return { error: 'audience.topics must be a non-empty list of topic ids' };
+    const unknown = wanted.filter((t) => !topics.includes(t));
+    if (unknown.length) return { error: `Unknown topic(s): ${unknown.join(', ')}` };
+    audience.topics = wanted.slice();
+  }
+  if (raw.events !== undefined) {
+    if (!stringList(raw.events)) return { error: 'audience.events must be a non-empty list of event ids' };
+    const unknown = raw.events.filter((id) => !events.has(id));
+    if (unknown.length) return { error: `Unknown event(s): ${unknown.join(', ')}` };
+    audience.events = raw.events.slice();
+  }
+  if (raw.locales !== undefined) {
+    if (!stringList(raw.locales)) return { error: 'audience.locales must be a non-empty list of locales' };
+    audience.locales = raw.locales.map((l) => l.toLowerCase());
+  }
+  if (raw.timezones !== undefined) {
+    if (!stringList(raw.timezones) || !raw.timezones.every((z) => IANAZone.isValidZone(z))) {
+      return { error: 'audience.timezones must be a non-empty list of IANA timezones' };
+    }
+    audience.timezones = raw.timezones.slice();
+  }
+  for (const key of ['minAgeDays', 'maxAgeDays']) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== 'number' || !(raw[key] >= 0)) return { error: `audience.${key} must be a non-negative number` };
+    audience[key] = raw[key];
+  }
+  return { audience };
+}
+
+// `resolve` supplies the subscriber's effective topics/events/timezone, which have defaults for old records
+function matchesAudience(sub, audience, resolve, now = DateTime.now()) {
+  if (audience.topics && !audience.topics.some((t) => resolve.topics(sub).includes(t))) return false;
+  if (audience.events && !audience.events.some((id) => resolve.events(sub).includes(id))) return false;
+  if (audience.locales) {
+    const locale = String(sub.locale || '').toLowerCase();
+    if (!audience.locales.some((l) => locale === l || locale.startsWith(`${l}-`))) return false;
+  }
+  if (audience.timezones && !audience.timezones.includes(resolve.timezone(sub))) return false;
+  if (audience.minAgeDays !== undefined || audience.maxAgeDays !== undefined) {
+    const created = sub.createdAt ? DateTime.fromISO(sub.createdAt) : null;
+    if (!created || !created.isValid) return false;
+    const age = now.diff(created, 'days').days;
+    if (audience.minAgeDays !== undefined && age < audience.minAgeDays) return false;
+    if (audience.maxAgeDays !== undefined && age > audience.maxAgeDays) return false;
+  }
+  return true;
+}
+
+module.exports = { parseAudience, matchesAudience };
@@ -0,0 +1,67 @@
+// lib/auth.js - bearer-token authentication for operational (admin) routes
+//
+// Two kinds of credentials are accepted:
+//   - static tokens from ADMIN_TOKENS (comma separated), meant for bootstrapping and automation
+//   - API keys issued through the admin API, stored only as a SHA-256 hash: "hk_<id>_<secret>"
+
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^hk_([a-f0-9]{16})_([A-Za-z0-9_-]{32,})$/;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// compares digests so neither length nor content leaks through timing
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function generateApiKey() {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { id, key: `hk_${id}_${secret}`, hash: sha256(secret).toString('hex') };
+}
+
+function parseTokens(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+function createAdminAuth({ tokens = [], store }) {
+  async function authenticate(token) {
+    if (!token) return null;
+    if (tokens.some((t) => safeEqual(t, token))) return { type: 'token', id: 'env' };
+
+    const match = token.match(KEY_PATTERN);
+    if (!match) return null;
+    const record = await store.getApiKey(match[1]);
+    if (!record || record.revokedAt) return null;
+    const hash = sha256(match[2]);
+    const expected = Buffer.from(record.hash, 'hex');
+    if (expected.length !== hash.length || !crypto.timingSafeEqual(expected, hash)) return null;
+    return { type: 'api-key', id: record.id, name: record.name };
+  }
+
+  // express middleware: sets req.admin or answers 401
+  function requireAdmin(req, res, next) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    authenticate(token)
+      .then((admin) => {
+        if (!admin) {
+          res.set('WWW-Authenticate', 'Bearer realm="admin"');
+          return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+        req.admin = admin;
+        next();
+      })
+      .catch(next);
+  }
+
+  return { authenticate, requireAdmin };
+}
+
+module.exports = { createAdminAuth, generateApiKey, parseTokens };
@@ -0,0 +1,76 @@
+// lib/countdown-stream.js - Server-Sent Events behind GET /api/countdown/stream
+//
+// Every open page holds one stream. A `countdown` message carries the authoritative countdown and the
+// server's clock, so the page can correct a wrong device clock; one goes out on connect, on every heartbeat
+// and whenever broadcast() is called (events reloaded). A stream whose event no longer exists gets a
+// `removed` message and is closed.
+
+/**
+ * Options:
+ *   render       (client) => message for a client's params (eventId, zone, locale); null once the event is gone
+ *   heartbeatMs  how often each stream gets a fresh message; also keeps proxies from closing idle connections
+ *   retryMs      reconnect delay suggested to the browser
+ *   onChange     (openStreams) => void, called whenever a stream opens or closes
+ */
+function createCountdownStream({ render, heartbeatMs = 25000, retryMs = 5000, onChange = () => {} }) {
+  const clients = new Set();
+  let heartbeat = null;
+
+  function send(client) {
+    const message = render(client.params);
+    if (!message) {
+      client.res.end('event: removed\ndata: {}\n\n');
+      return;
+    }
+    client.res.write(`event: countdown\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  function broadcast() {
+    for (const client of clients) send(client);
+  }
+
+  function open(req, res, params) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const client = { params, res };
+    clients.add(client);
+    res.on('close', () => {
+      clients.delete(client);
+      if (!clients.size) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+      onChange(clients.size);
+    });
+    if (!heartbeat) {
+      heartbeat = setInterval(broadcast, heartbeatMs);
+      heartbeat.unref();
+    }
+    onChange(clients.size);
+    send(client);
+  }
+
+  // ends every stream (browsers reconnect after retryMs)
+  function close() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    for (const client of clients) client.res.end();
+  }
+
+  return {
+    open,
+    broadcast,
+    close,
+    get size() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = { createCountdownStream };
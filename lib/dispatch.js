@@ -0,0 +1,98 @@
+// lib/dispatch.js - concurrency-limited push dispatch with retry/backoff
+
+const DEFAULTS = {
+  concurrency: 10,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(code) {
+  return code === 429 || (code >= 500 && code <= 599);
+}
+
+// Expired or unknown subscriptions: the push service will never accept them again
+function isGone(code) {
+  return code === 404 || code === 410;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(headers, now = Date.now()) {
+  const raw = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (raw === undefined || raw === null || raw === '') return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  // equal jitter on an exponential ceiling: half the ceiling plus a random part of the other half
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Deliver to every subscription with at most `concurrency` requests in flight.
+ * `send(sub)` must resolve on success and reject with a web-push style error
+ * ({ statusCode, headers }) on failure.
+ * Resolves to { sent, retried, failed, pruned, results }, where `retried` counts retry attempts
+ * and `pruned` lists subscriptions the push service reported gone (the caller removes them).
+ * A 429/503 whose Retry-After is longer than `maxDelayMs` is not retried: it fails with its status code.
+ */
+async function dispatch(subscriptions, send, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const queue = subscriptions.slice();
+  const results = [];
+  const summary = { sent: 0, retried: 0, failed: 0, pruned: 0 };
+
+  async function deliver(sub) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await send(sub);
+        summary.sent++;
+        return { endpoint: sub.endpoint, ok: true, statusCode: (res && res.statusCode) || 201, attempts: attempt + 1 };
+      } catch (err) {
+        const code = err && err.statusCode;
+        const retryAfter = isRetryable(code) ? parseRetryAfter(err.headers) : null;
+        // a Retry-After beyond maxDelayMs is honoured by giving up rather than by retrying early
+        if (isRetryable(code) && attempt < opts.maxRetries && !(retryAfter > opts.maxDelayMs)) {
+          summary.retried++;
+          await sleep(retryAfter !== null ? retryAfter : backoffDelay(attempt, opts));
+          continue;
+        }
+
+        const result = {
+          endpoint: sub.endpoint,
+          ok: false,
+          statusCode: code || null,
+          error: (err && (err.body || err.message)) || String(err),
+          attempts: attempt + 1,
+        };
+        if (isGone(code)) {
+          summary.pruned++;
+          result.remove = true;
+        } else {
+          summary.failed++;
+        }
+        return result;
+      }
+    }
+  }
+
+  async function worker() {
+    while (queue.length) {
+      const sub = queue.shift();
+      results.push(await deliver(sub));
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(opts.concurrency, queue.length)) }, worker);
+  await Promise.all(workers);
+
+  return { ...summary, results };
+}
+
+module.exports = { dispatch, parseRetryAfter };
@@ -0,0 +1,199 @@
+// lib/events.js - registry of named countdown events and their message copy
+
+const fs = require('fs');
+const { DateTime } = require('luxon');
+const { FALLBACK_LOCALE, loadLocaleTemplates, resolveLocale, render } = require('./templates');
+const { normalizeRules, matchRule } = require('./rules');
+
+const TEMPLATES = loadLocaleTemplates();
+const CASES = ['today', 'tomorrow', 'countdown'];
+
+// Presentation options per case; the text comes from the locale templates
+const DEFAULT_MESSAGES = {
+  today: { icon: '/celebration-icon.png', requireInteraction: true, vibrate: [200, 100, 200] },
+  tomorrow: { icon: '/countdown-icon.png', vibrate: [100, 50, 100] },
+  countdown: { icon: '/countdown-icon.png', vibrate: [100, 50, 100] },
+};
+
+// Notification buttons, handled by the service worker's notificationclick; titles come from the locale files
+const DEFAULT_ACTIONS = ['snooze', 'stop', 'open'];
+// no point offering "remind me tomorrow" on the day itself
+const ACTIONS_BY_CASE = { today: ['stop', 'open'] };
+
+// "MM-DD" repeats every year, "YYYY-MM-DD" is a one-off date
+const ANNUAL_DATE = /^(\d{2})-(\d{2})$/;
+const FIXED_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^(\d{2}):(\d{2})$/;
+
+function normalizeEvent(raw, defaultTz) {
+  if (!raw || typeof raw !== 'object') throw new Error('Event definition must be an object');
+  if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(raw.id)) {
+    throw new Error(`Invalid event id: ${JSON.stringify(raw.id)}`);
+  }
+  const date = String(raw.date || '');
+  if (!ANNUAL_DATE.test(date) && !FIXED_DATE.test(date)) {
+    throw new Error(`Event "${raw.id}" has invalid date "${date}" (expected MM-DD or YYYY-MM-DD)`);
+  }
+  // annual dates are checked against a leap year, so "02-29" is allowed
+  if (!DateTime.fromISO(ANNUAL_DATE.test(date) ? `2000-${date}` : date).isValid) {
+    throw new Error(`Event "${raw.id}" has invalid date "${date}" (no such day)`);
+  }
+  const time = raw.time || '00:00';
+  if (!TIME.test(time)) throw new Error(`Event "${raw.id}" has invalid time "${time}" (expected HH:mm)`);
+  const timezone = raw.timezone || defaultTz;
+  if (!DateTime.now().setZone(timezone).isValid) {
+    throw new Error(`Event "${raw.id}" has invalid timezone "${timezone}"`);
+  }
+
+  // title/body under `messages` predate localisation and count as English overrides
+  const messages = {};
+  const overrides = { ...(raw.templates || {}) };
+  for (const key of CASES) {
+    const { title, body, ...options } = (raw.messages && raw.messages[key]) || {};
+    messages[key] = { ...DEFAULT_MESSAGES[key], ...options };
+    if (title !== undefined || body !== undefined) {
+      overrides[FALLBACK_LOCALE] = { ...overrides[FALLBACK_LOCALE] };
+      overrides[FALLBACK_LOCALE][key] = { title, body, ...overrides[FALLBACK_LOCALE][key] };
+    }
+  }
+
+  const templates = {};
+  for (const locale of new Set([...Object.keys(TEMPLATES), ...Object.keys(overrides)])) {
+    templates[locale] = {
+      actions: {
+        ...TEMPLATES[FALLBACK_LOCALE].actions,
+        ...(TEMPLATES[locale] && TEMPLATES[locale].actions),
+        ...(overrides[locale] && overrides[locale].actions),
+      },
+    };
+    for (const key of CASES) {
+      const base = (TEMPLATES[locale] || TEMPLATES[FALLBACK_LOCALE])[key];
+      const custom = (overrides[locale] && overrides[locale][key]) || {};
+      templates[locale][key] = {
+        title: custom.title !== undefined ? custom.title : base.title,
+        body: custom.body !== undefined ? custom.body : base.body,
+      };
+    }
+  }
+
+  // name is a string or a map of locale -> name
+  const names = raw.name && typeof raw.name === 'object' ? { ...raw.name } : { [FALLBACK_LOCALE]: raw.name || raw.id };
+  if (!names[FALLBACK_LOCALE]) names[FALLBACK_LOCALE] = Object.values(names)[0] || raw.id;
+
+  return {
+    id: raw.id,
+    name: names[FALLBACK_LOCALE],
+    names,
+    date,
+    time,
+    timezone,
+    annual: ANNUAL_DATE.test(date),
+    url: raw.url || '/',
+    actions: Array.isArray(raw.actions) ? raw.actions.slice() : DEFAULT_ACTIONS,
+    messages,
+    templates,
+    rules: normalizeRules(raw.rules, raw.id),
+  };
+}
+
+function loadEvents(file, { defaultTz = 'Africa/Nairobi' } = {}) {
+  const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(list) || !list.length) throw new Error(`${file} must contain a non-empty array of events`);
+
+  const registry = new Map();
+  for (const raw of list) {
+    const event = normalizeEvent(raw, defaultTz);
+    if (registry.has(event.id)) throw new Error(`Duplicate event id "${event.id}" in ${file}`);
+    registry.set(event.id, event);
+  }
+  return registry;
+}
+
+// An annual date in `year`; "02-29" falls on February 28th in common years
+function annualTarget(year, month, day, hour, minute, zone) {
+  const daysInMonth = DateTime.fromObject({ year, month }, { zone }).daysInMonth;
+  return DateTime.fromObject({ year, month, day: Math.min(day, daysInMonth), hour, minute }, { zone });
+}
+
+// Next occurrence of the event's target in its own zone (annual events roll to next year once passed)
+function resolveTarget(event, now) {
+  const [hour, minute] = event.time.split(':').map(Number);
+  if (event.annual) {
+    const [, month, day] = event.date.match(ANNUAL_DATE).map(Number);
+    let target = annualTarget(now.year, month, day, hour, minute, event.timezone);
+    if (now.startOf('day') > target.startOf('day')) target = annualTarget(now.year + 1, month, day, hour, minute, event.timezone);
+    return target;
+  }
+  const [, year, month, day] = event.date.match(FIXED_DATE).map(Number);
+  return DateTime.fromObject({ year, month, day, hour, minute }, { zone: event.timezone });
+}
+
+// Days are counted between calendar dates as seen in `zone` (the subscriber's timezone),
+// so "1 day left" always means "tomorrow" for whoever reads the notification.
+function getCountdown(event, { now = DateTime.now(), zone = event.timezone, locale = FALLBACK_LOCALE } = {}) {
+  const resolved = resolveLocale(locale, Object.keys(event.templates));
+  const target = resolveTarget(event, now.setZone(event.timezone).startOf('day'));
+  const today = now.setZone(zone).startOf('day');
+  const targetDay = DateTime.fromObject({ year: target.year, month: target.month, day: target.day }, { zone });
+  const diff = Math.round(targetDay.diff(today, 'days').days);
+  const daysRemaining = Math.max(0, diff);
+  return {
+    eventId: event.id,
+    name: localizedName(event, resolved),
+    days: daysRemaining,
+    targetDateISO: target.toISO(),
+    targetDateString: target.setLocale(resolved).toLocaleString(DateTime.DATE_FULL),
+    isToday: diff === 0,
+    isPast: diff < 0,
+    timezone: zone,
+  };
+}
+
+function localizedName(event, locale) {
+  return event.names[resolveLocale(locale, Object.keys(event.names))];
+}
+
+// Reminder rule matching this countdown, or null when the event has nothing to send that day
+function reminderRuleFor(event, countdown) {
+  return matchRule(event.rules, countdown.days);
+}
+
+// Renders the push title/body in `locale`, falling back to English for unknown locales.
+// A matching rule's copy wins over the event's, but only when the rule has text in the resolved locale.
+function generateCountdownMessage(event, countdown, locale = FALLBACK_LOCALE, rule = null) {
+  let key;
+  if (countdown.isToday) key = 'today';
+  else if (countdown.days === 1) key = 'tomorrow';
+  else key = 'countdown';
+
+  const resolved = resolveLocale(locale, Object.keys(event.templates));
+  const custom = (rule && rule.templates && rule.templates[resolved]) || {};
+  const template = {
+    title: custom.title !== undefined ? custom.title : event.templates[resolved][key].title,
+    body: custom.body !== undefined ? custom.body : event.templates[resolved][key].body,
+  };
+  const targetDate = DateTime.fromISO(countdown.targetDateISO, { setZone: true })
+    .setLocale(resolved)
+    .toLocaleString(DateTime.DATE_FULL);
+  const vars = { name: localizedName(event, resolved), days: countdown.days, count: countdown.days, targetDate };
+
+  const actionTitles = event.templates[resolved].actions;
+  const actions = (ACTIONS_BY_CASE[key] || event.actions)
+    .filter((action) => event.actions.includes(action) && actionTitles[action])
+    .map((action) => ({ action, title: actionTitles[action] }));
+
+  return {
+    ...event.messages[key],
+    title: render(template.title, vars, resolved),
+    body: render(template.body, vars, resolved),
+    lang: resolved,
+    actions,
+  };
+}
+
+module.exports = {
+  loadEvents,
+  getCountdown,
+  reminderRuleFor,
+  generateCountdownMessage,
+};
@@ -0,0 +1,153 @@
+// lib/icons.js - the app and notification icon set, drawn in code so it can be regenerated
+//
+// Every icon is a shade(x, y) function over the unit square, rendered with supersampling and written as an
+// RGBA PNG with nothing but zlib. generate-icons.js writes the set to public/; the manifest lists the icons
+// with a `purpose`, notifications and the service worker use the rest.
+
+const zlib = require('zlib');
+
+const BG_TOP = [5, 5, 21]; // --bg-1 in index.html
+const BG_BOTTOM = [10, 15, 42]; // --bg-2
+const WHITE = [245, 250, 255];
+const GOLD = [255, 213, 74];
+const RAINBOW = [[255, 0, 87], [255, 122, 0], [255, 212, 0], [43, 226, 165], [0, 198, 255], [155, 107, 255]];
+
+const ICONS = [
+  { file: 'icon-192.png', size: 192, draw: 'app', purpose: 'any' },
+  { file: 'icon-512.png', size: 512, draw: 'app', purpose: 'any' },
+  { file: 'icon-maskable-512.png', size: 512, draw: 'maskable', purpose: 'maskable' },
+  { file: 'apple-touch-icon.png', size: 180, draw: 'app' },
+  { file: 'countdown-icon.png', size: 192, draw: 'countdown' },
+  { file: 'celebration-icon.png', size: 192, draw: 'celebration' },
+  // Android only uses the badge's alpha channel
+  { file: 'badge-icon.png', size: 96, draw: 'badge' },
+];
+
+// ---------- Shapes (unit square, y down) ----------
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+
+function rainbowAt(x, y) {
+  const turn = (Math.atan2(y - 0.5, x - 0.5) / (2 * Math.PI) + 1.25) % 1; // starts at 12 o'clock
+  const pos = turn * RAINBOW.length;
+  const i = Math.floor(pos);
+  return mix(RAINBOW[i], RAINBOW[(i + 1) % RAINBOW.length], pos - i);
+}
+
+const inRing = (x, y, r, width) => Math.abs(Math.hypot(x - 0.5, y - 0.5) - r) <= width / 2;
+const inRect = (x, y, x0, y0, x1, y1) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+
+function inPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const STAR = Array.from({ length: 10 }, (_, i) => {
+  const r = i % 2 ? 0.09 : 0.21;
+  const a = (i * Math.PI) / 5 - Math.PI / 2;
+  return [0.5 + r * Math.cos(a), 0.52 + r * Math.sin(a)];
+});
+
+const inLetterH = (x, y) =>
+  inRect(x, y, 0.37, 0.35, 0.44, 0.65) || inRect(x, y, 0.56, 0.35, 0.63, 0.65) || inRect(x, y, 0.44, 0.47, 0.56, 0.53);
+const inClockHands = (x, y) => inRect(x, y, 0.465, 0.3, 0.535, 0.535) || inRect(x, y, 0.465, 0.465, 0.68, 0.535);
+
+// ---------- Icons ----------
+const background = (x, y) => [...mix(BG_TOP, BG_BOTTOM, y), 1];
+
+// foregrounds return null where the background shows through
+function appMark(x, y) {
+  if (inRing(x, y, 0.34, 0.08)) return [...rainbowAt(x, y), 1];
+  if (inLetterH(x, y)) return [...WHITE, 1];
+  return null;
+}
+
+// maskable icons get cropped to as little as the central 80% circle
+const shrink = (fg, k) => (x, y) => fg(0.5 + (x - 0.5) / k, 0.5 + (y - 0.5) / k);
+
+const withBackground = (fg) => (x, y) => fg(x, y) || background(x, y);
+
+const DRAW = {
+  app: withBackground(appMark),
+  maskable: withBackground(shrink(appMark, 0.8)),
+  countdown: withBackground((x, y) => {
+    if (inRing(x, y, 0.34, 0.08)) return [...rainbowAt(x, y), 1];
+    return inClockHands(x, y) ? [...WHITE, 1] : null;
+  }),
+  celebration: withBackground((x, y) => {
+    if (inRing(x, y, 0.34, 0.08)) return [...rainbowAt(x, y), 1];
+    return inPolygon(x, y, STAR) ? [...GOLD, 1] : null;
+  }),
+  badge: (x, y) => (inRing(x, y, 0.36, 0.1) || inClockHands(x, y) ? [255, 255, 255, 1] : [0, 0, 0, 0]),
+};
+
+/** Renders `draw` (a key of DRAW) at size x size; returns RGBA pixels, row by row. */
+function renderIcon(draw, size, samples = 4) {
+  const shade = DRAW[draw];
+  if (!shade) throw new Error(`Unknown icon drawing: ${draw}`);
+  const pixels = Buffer.alloc(size * size * 4);
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      // average premultiplied samples so the edges blend into transparency cleanly
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = 0; sy < samples; sy++) {
+        for (let sx = 0; sx < samples; sx++) {
+          const [sr, sg, sb, sa] = shade((px + (sx + 0.5) / samples) / size, (py + (sy + 0.5) / samples) / size);
+          r += sr * sa; g += sg * sa; b += sb * sa; a += sa;
+        }
+      }
+      const o = (py * size + px) * 4;
+      if (a > 0) {
+        pixels[o] = Math.round(r / a);
+        pixels[o + 1] = Math.round(g / a);
+        pixels[o + 2] = Math.round(b / a);
+      }
+      pixels[o + 3] = Math.round((a / (samples * samples)) * 255);
+    }
+  }
+  return pixels;
+}
+
+// ---------- PNG ----------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/** Encodes square RGBA pixels (as from renderIcon) as a PNG file. */
+function encodePng(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+  const rows = [];
+  for (let y = 0; y < size; y++) rows.push(Buffer.from([0]), pixels.subarray(y * size * 4, (y + 1) * size * 4));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows), { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { ICONS, renderIcon, encodePng };
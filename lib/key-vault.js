@@ -0,0 +1,109 @@
+// lib/key-vault.js - subscription keys encrypted at rest (AES-256-GCM under a master key)
+//
+// A sealed record keeps `keys: { sealed: "v1.<keyId>.<iv>.<ciphertext>.<tag>" }`, bound to its endpoint
+// as additional data, so keys can't be swapped between records. Ownership checks use `authHash` (sha256
+// of the auth secret) and never need to decrypt. Without a master key, keys stay in plaintext.
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+// Master keys are 32 random bytes, base64 or base64url encoded
+function parseMasterKey(value) {
+  const key = Buffer.from(String(value).trim().replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  if (key.length !== 32) throw new Error('Subscription master keys must be 32 bytes, base64 encoded');
+  return key;
+}
+
+function generateMasterKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function hashAuth(auth) {
+  return crypto.createHash('sha256').update(String(auth)).digest('hex');
+}
+
+// `masterKey` seals; `previousKeys` can still open records sealed before a key change
+function createKeyVault({ masterKey = null, previousKeys = [] } = {}) {
+  const current = masterKey ? parseMasterKey(masterKey) : null;
+  const byId = new Map();
+  for (const key of [current, ...previousKeys.map(parseMasterKey)].filter(Boolean)) byId.set(masterKeyId(key), key);
+  const currentId = current ? masterKeyId(current) : null;
+
+  function seal(keys, endpoint) {
+    const plain = { p256dh: keys.p256dh, auth: keys.auth };
+    if (!current) return plain;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current, iv);
+    cipher.setAAD(Buffer.from(endpoint));
+    const data = Buffer.concat([cipher.update(JSON.stringify(plain), 'utf8'), cipher.final()]);
+    const parts = [VERSION, currentId, iv.toString('base64url'), data.toString('base64url'), cipher.getAuthTag().toString('base64url')];
+    return { sealed: parts.join('.') };
+  }
+
+  // plaintext keys (older records, or no master key) pass through
+  function open(keys, endpoint) {
+    if (!keys || !keys.sealed) return keys;
+    const [version, id, iv, data, tag] = keys.sealed.split('.');
+    if (version !== VERSION) throw new Error(`Unsupported sealed key format ${version}`);
+    const key = byId.get(id);
+    if (!key) throw new Error(`Subscription keys are sealed with unknown master key ${id}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(endpoint));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  }
+
+  // true when the record's keys are stored the way this vault would store them now
+  function isCurrent(keys) {
+    if (!current) return !keys.sealed;
+    return !!keys.sealed && keys.sealed.split('.')[1] === currentId;
+  }
+
+  return { enabled: !!current, keyId: currentId, seal, open, isCurrent };
+}
+
+// Whether `auth` is the subscription's auth secret; records from before authHash compare the plaintext
+function ownsSubscription(sub, auth) {
+  if (!sub || typeof auth !== 'string' || !auth) return false;
+  const expected = sub.authHash || (sub.keys && sub.keys.auth ? hashAuth(sub.keys.auth) : null);
+  if (!expected) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(hashAuth(auth), 'hex'));
+}
+
+// Re-stores every subscription whose keys aren't sealed the way `vault` seals them now (plaintext, or an
+// older master key). `filter(sub)` narrows which records qualify. Resolves the number re-sealed.
+// Keys waiting on a confirmation (`pendingKeys`) are re-sealed along with the record's own.
+async function resealSubscriptions(store, vault, filter = () => true) {
+  const isStale = (keys) => !!keys && !vault.isCurrent(keys);
+  const stale = (await store.listSubscriptions()).filter(
+    (s) => (isStale(s.keys) || (s.pendingKeys && isStale(s.pendingKeys.keys))) && filter(s)
+  );
+  if (!stale.length) return 0;
+  return store.updateSubscriptions(
+    stale.map((s) => s.endpoint),
+    (sub) => {
+      const keys = vault.open(sub.keys, sub.endpoint);
+      const resealed = { ...sub, keys: vault.seal(keys, sub.endpoint), authHash: hashAuth(keys.auth) };
+      if (sub.pendingKeys) {
+        resealed.pendingKeys = { ...sub.pendingKeys, keys: vault.seal(vault.open(sub.pendingKeys.keys, sub.endpoint), sub.endpoint) };
+      }
+      return resealed;
+    }
+  );
+}
+
+module.exports = {
+  parseMasterKey,
+  generateMasterKey,
+  hashAuth,
+  createKeyVault,
+  ownsSubscription,
+  resealSubscriptions,
+};
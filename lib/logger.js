@@ -0,0 +1,90 @@
+// lib/logger.js - structured JSON logging with levels and per-request / per-run context
+//
+// Each line is one JSON object: { time, level, msg, ...context, ...fields }. Context set with
+// withLogContext() (a request id, a cron run id) follows the async call chain, so code deep inside a
+// request or a cron tick doesn't have to pass it along. Push endpoints are capability URLs: log them
+// through endpointRef(), never as-is.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const context = new AsyncLocalStorage();
+
+// "fcm.googleapis.com#3f1a9c0b2d4e": enough to tell endpoints apart and find the push service, nothing to replay
+function endpointRef(endpoint) {
+  if (typeof endpoint !== 'string') return null;
+  let host = 'invalid';
+  try {
+    host = new URL(endpoint).host;
+  } catch (err) {
+    // not a URL; the hash still identifies it
+  }
+  return `${host}#${crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 12)}`;
+}
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { message: err.message, name: err.name, stack: err.stack };
+  if (err.statusCode) out.statusCode = err.statusCode;
+  return out;
+}
+
+function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function createLogger({ level = 'info', stream = process.stdout, bindings = {} } = {}) {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  const threshold = LEVELS[level];
+
+  function write(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...bindings, ...(context.getStore() || {}) };
+    for (const [key, value] of Object.entries(fields)) entry[key] = key === 'err' ? serializeError(value) : value;
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ level, stream, bindings: { ...bindings, ...fields } }),
+  };
+}
+
+// Express middleware: takes the request id from X-Request-Id (when it looks sane) or makes one, echoes it
+// back, runs the rest of the request in its log context and writes one access line per response.
+// Only the path is logged: query strings can carry endpoints. Mount it before the body parser so rejected
+// bodies are logged too, and requestContext() after it: parsing a body loses the async context.
+function requestLogger(logger, { header = 'x-request-id' } = {}) {
+  return function logRequests(req, res, next) {
+    const incoming = req.get(header);
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      };
+      if (res.statusCode >= 500) logger.error('request', fields);
+      else logger.info('request', fields);
+    });
+    withLogContext({ requestId }, next);
+  };
+}
+
+// re-enters the request's log context (see requestLogger)
+function requestContext(req, res, next) {
+  if (req.id) withLogContext({ requestId: req.id }, next);
+  else next();
+}
+
+module.exports = { LEVELS, createLogger, endpointRef, requestLogger, requestContext, withLogContext };
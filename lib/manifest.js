@@ -0,0 +1,32 @@
+// lib/manifest.js - the web app manifest (GET /manifest.webmanifest), built from configuration and lib/icons
+
+const { ICONS } = require('./icons');
+
+// match the page's background (--bg-1 / --bg-2 in index.html) so the splash screen doesn't flash
+const BACKGROUND_COLOR = '#050515';
+const THEME_COLOR = '#0a0f2a';
+
+/** Options: name, shortName (defaults to name), description, lang. */
+function buildManifest({ name, shortName = name, description, lang = 'en' }) {
+  return {
+    id: '/',
+    name,
+    short_name: shortName,
+    description,
+    lang,
+    start_url: '/',
+    scope: '/',
+    // iOS only lets installed (standalone) web apps use push
+    display: 'standalone',
+    background_color: BACKGROUND_COLOR,
+    theme_color: THEME_COLOR,
+    icons: ICONS.filter((icon) => icon.purpose).map((icon) => ({
+      src: `/${icon.file}`,
+      sizes: `${icon.size}x${icon.size}`,
+      type: 'image/png',
+      purpose: icon.purpose,
+    })),
+  };
+}
+
+module.exports = { BACKGROUND_COLOR, THEME_COLOR, buildManifest };
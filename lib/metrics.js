@@ -0,0 +1,102 @@
+// lib/metrics.js - a small Prometheus registry (counters, gauges, histograms) in text exposition format
+//
+// Gauges may take a `collect()` that refreshes their values right before each scrape.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = JSON.parse(key);
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some((m) => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels, by = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + by);
+      },
+      lines: () => Array.from(values, ([key, v]) => `${name}${formatLabels(labelNames, key)} ${v}`),
+    });
+  }
+
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      collect,
+      set(labels, value) {
+        values.set(labelKey(labelNames, labels), value);
+      },
+      // drops every series, so labels that disappeared (e.g. a removed topic) stop being reported
+      reset: () => values.clear(),
+      lines: () => Array.from(values, ([key, v]) => `${name}${formatLabels(labelNames, key)} ${v}`),
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(key);
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      },
+      lines() {
+        const out = [];
+        for (const [key, s] of series) {
+          buckets.forEach((le, i) => out.push(`${name}_bucket${formatLabels(labelNames, key, `le="${le}"`)} ${s.counts[i]}`));
+          out.push(`${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${s.count}`);
+          out.push(`${name}_sum${formatLabels(labelNames, key)} ${s.sum}`);
+          out.push(`${name}_count${formatLabels(labelNames, key)} ${s.count}`);
+        }
+        return out;
+      },
+    });
+  }
+
+  async function render() {
+    for (const metric of metrics) if (metric.collect) await metric.collect(metric);
+    const out = [];
+    for (const metric of metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,63 @@
+// lib/policy.js - per-subscriber delivery policy: quiet hours and a rolling-window rate limit
+//
+// Every push is checked with evaluate() before it goes out. A push that isn't allowed carries the
+// reason ('quiet-hours' or 'rate-limit'), the configured action for that reason ('defer' or 'drop')
+// and when it could go out instead.
+
+const { DateTime } = require('luxon');
+
+const ACTIONS = ['defer', 'drop'];
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// When the quiet hours `local` falls in end, or null outside them. Ranges like 22:00-07:00 wrap past midnight.
+function quietUntil(quietHours, local) {
+  if (!quietHours) return null;
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  const t = local.hour * 60 + local.minute;
+  const quiet = start < end ? t >= start && t < end : t >= start || t < end;
+  if (!quiet) return null;
+  let until = local.set({ hour: Math.floor(end / 60), minute: end % 60, second: 0, millisecond: 0 });
+  if (until <= local) until = until.plus({ days: 1 });
+  return until;
+}
+
+function createPolicy({ maxPerWindow = 0, windowMinutes = 1440, quietHoursAction = 'defer', rateLimitAction = 'drop' } = {}) {
+  for (const [name, action] of [['quiet hours', quietHoursAction], ['rate limit', rateLimitAction]]) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown ${name} action "${action}" (expected ${ACTIONS.join(' or ')})`);
+  }
+  const windowMs = windowMinutes * 60 * 1000;
+
+  // `recent` are ISO timestamps of the subscriber's recent pushes
+  function rateLimitedUntil(recent, now) {
+    if (!maxPerWindow) return null;
+    const since = now.toMillis() - windowMs;
+    const inWindow = recent.map((t) => Date.parse(t)).filter((t) => t > since).sort((a, b) => a - b);
+    if (inWindow.length < maxPerWindow) return null;
+    // the next slot frees up when the oldest push that keeps it full leaves the window
+    return DateTime.fromMillis(inWindow[inWindow.length - maxPerWindow] + windowMs);
+  }
+
+  return {
+    // { allow: true }, or { allow: false, reason, action, retryAt } with retryAt a luxon DateTime
+    evaluate(sub, { zone, now = DateTime.now() }) {
+      const quiet = quietUntil(sub.quietHours, now.setZone(zone));
+      if (quiet) return { allow: false, reason: 'quiet-hours', action: quietHoursAction, retryAt: quiet };
+      const limited = rateLimitedUntil(sub.recentSends || [], now);
+      if (limited) return { allow: false, reason: 'rate-limit', action: rateLimitAction, retryAt: limited };
+      return { allow: true };
+    },
+
+    // the subscriber's push log after one more push at `now`, trimmed to the window
+    recordSend(recent = [], now = DateTime.now()) {
+      const since = now.toMillis() - windowMs;
+      return [...recent.filter((t) => Date.parse(t) > since), now.toUTC().toISO()];
+    },
+  };
+}
+
+module.exports = { createPolicy, quietUntil };
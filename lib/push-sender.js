@@ -0,0 +1,45 @@
+// lib/push-sender.js - delivers Web Push requests built by web-push over https, or http for local stand-ins
+//
+// web-push's sendNotification always speaks https. This sender takes the same arguments, lets web-push
+// build the request (VAPID headers, aes128gcm body) and picks the transport from the endpoint's scheme, so
+// the endpoints PUSH_ALLOW_HTTP admits can actually be reached. Results and errors have web-push's shape.
+
+const http = require('http');
+const https = require('https');
+const webpush = require('web-push');
+
+function createPushSender({ timeoutMs = 30000 } = {}) {
+  return function sendNotification(subscription, payload, options) {
+    let details;
+    try {
+      details = webpush.generateRequestDetails(subscription, payload, options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const url = new URL(details.endpoint);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method: details.method, headers: details.headers, timeout: timeoutMs }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode <= 299) {
+            resolve({ statusCode: res.statusCode, body, headers: res.headers });
+          } else {
+            reject(new webpush.WebPushError('Received unexpected response code', res.statusCode, res.headers, body, details.endpoint));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('Socket timeout')));
+      req.on('error', reject);
+      if (details.body) req.write(details.body);
+      req.end();
+    });
+  };
+}
+
+module.exports = { createPushSender };
@@ -0,0 +1,32 @@
+// lib/rate-limit.js - in-memory fixed-window rate limiting per client IP
+//
+// Counts live in this process only; behind a proxy, set Express's "trust proxy" so req.ip is the client's.
+
+function createRateLimiter({ windowMs = 60 * 1000, max = 20 } = {}) {
+  const hits = new Map(); // ip -> { count, resetAt }
+
+  // forget finished windows so the map doesn't grow with every address ever seen
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) if (entry.resetAt <= now) hits.delete(ip);
+  }, windowMs);
+  sweeper.unref();
+
+  return function rateLimit(req, res, next) {
+    if (!max) return next();
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, error: 'Too many requests, try again later' });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
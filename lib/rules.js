@@ -0,0 +1,67 @@
+// lib/rules.js - per-event reminder rules deciding on which countdown days a push goes out
+//
+// Rules are checked in order and the first match wins. Conditions within a rule are combined:
+//   { "days": [30, 14, 7, 3, 1, 0] }   milestones
+//   { "within": 7 }                    daily once 7 or fewer days remain
+//   { "every": 7 }                     whenever the remaining days are a multiple of 7
+//   { "every": 7, "from": 60 }         ...but only once 60 or fewer days remain
+// A rule may override the copy with "title"/"body" (English) or "templates": { "<locale>": { title, body } }.
+
+const DAILY = [{ id: 'daily', every: 1 }];
+
+function nonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function normalizeRule(raw, index, eventId) {
+  const where = `Event "${eventId}" rule #${index + 1}`;
+  if (!raw || typeof raw !== 'object') throw new Error(`${where} must be an object`);
+
+  const rule = { id: raw.id || `rule-${index + 1}` };
+  if (raw.days !== undefined) {
+    if (!Array.isArray(raw.days) || !raw.days.length || !raw.days.every(nonNegativeInt)) {
+      throw new Error(`${where}: "days" must be a non-empty array of non-negative integers`);
+    }
+    rule.days = raw.days.slice();
+  }
+  for (const key of ['within', 'from']) {
+    if (raw[key] === undefined) continue;
+    if (!nonNegativeInt(raw[key])) throw new Error(`${where}: "${key}" must be a non-negative integer`);
+    rule[key] = raw[key];
+  }
+  if (raw.every !== undefined) {
+    if (!Number.isInteger(raw.every) || raw.every < 1) throw new Error(`${where}: "every" must be a positive integer`);
+    rule.every = raw.every;
+  }
+  if (rule.days === undefined && rule.within === undefined && rule.every === undefined) {
+    throw new Error(`${where} needs at least one of "days", "within" or "every"`);
+  }
+
+  const templates = { ...(raw.templates || {}) };
+  if (raw.title !== undefined || raw.body !== undefined) {
+    templates.en = { title: raw.title, body: raw.body, ...templates.en };
+  }
+  if (Object.keys(templates).length) rule.templates = templates;
+  return rule;
+}
+
+function normalizeRules(raw, eventId) {
+  if (raw === undefined) return DAILY;
+  if (!Array.isArray(raw) || !raw.length) throw new Error(`Event "${eventId}" rules must be a non-empty array`);
+  return raw.map((rule, i) => normalizeRule(rule, i, eventId));
+}
+
+function ruleMatches(rule, days) {
+  if (rule.days && !rule.days.includes(days)) return false;
+  if (rule.within !== undefined && days > rule.within) return false;
+  if (rule.from !== undefined && days > rule.from) return false;
+  if (rule.every !== undefined && days % rule.every !== 0) return false;
+  return true;
+}
+
+// First rule matching the remaining days, or null when no reminder is due that day
+function matchRule(rules, days) {
+  return rules.find((rule) => ruleMatches(rule, days)) || null;
+}
+
+module.exports = { normalizeRules, matchRule };
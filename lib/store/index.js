@@ -0,0 +1,180 @@
+// lib/store/index.js - pluggable persistence: picks a backend and adds subscription helpers
+//
+// Backends expose a small document API (get/list/count/put/putMany/update/remove per collection);
+// everything domain-specific is layered on top here so both drivers behave the same.
+//
+// The JSON driver rewrites its whole file on every change, so it keeps run records (one outcome per
+// endpoint, hundreds of runs) in a file of their own next to the store file, and holds leases in memory:
+// it serves a single instance, and there's nobody to share them with.
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+const SUBSCRIPTIONS = 'subscriptions';
+const RUNS = 'runs';
+const API_KEYS = 'apiKeys';
+const SNOOZES = 'snoozes';
+const ANNOUNCEMENTS = 'announcements';
+const SCHEDULER = 'scheduler';
+const LEASES = 'leases';
+const DEFERRED = 'deferred';
+const META = 'meta';
+
+function createBackend({ driver = 'json', file, now }) {
+  if (driver === 'json') return createJsonStore({ file, now });
+  if (driver === 'sqlite') return createSqliteStore({ file, now });
+  throw new Error(`Unknown store driver "${driver}" (expected "json" or "sqlite")`);
+}
+
+// One-time import of the old flat subscriptions.json array
+async function importLegacySubscriptions(backend, legacyFile) {
+  if (!legacyFile || (await backend.get(META, 'legacy-import'))) return 0;
+
+  let list = [];
+  try {
+    list = JSON.parse(await fs.promises.readFile(legacyFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not import ${legacyFile}: ${err.message}`);
+  }
+  const entries = (Array.isArray(list) ? list : [])
+    .filter((sub) => sub && typeof sub.endpoint === 'string')
+    .map((sub) => [sub.endpoint, sub]);
+
+  await backend.putMany(SUBSCRIPTIONS, entries);
+  await backend.put(META, 'legacy-import', { file: legacyFile, imported: entries.length });
+  return entries.length;
+}
+
+// data/store.json -> data/store.runs.json
+function runsFileFor(file) {
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}.runs${ext}`);
+}
+
+// Stores from before runs had a file of their own carry them in the main document
+async function moveRuns(from, to) {
+  const runs = await from.list(RUNS);
+  if (!runs.length) return;
+  await to.putMany(RUNS, runs.map((run) => [run.id, run]));
+  await from.remove(RUNS, runs.map((run) => run.id));
+}
+
+function createStore(options) {
+  const backend = createBackend(options);
+  const local = backend.driver === 'json';
+  const runsBackend = local ? createJsonStore({ file: runsFileFor(options.file), now: options.now }) : backend;
+  const leases = new Map(); // name -> { owner, expiresAt (ms) }, JSON driver only
+
+  return {
+    driver: backend.driver,
+    backend,
+
+    async init() {
+      await backend.init();
+      if (local) {
+        await runsBackend.init();
+        await moveRuns(backend, runsBackend);
+        // leases written before they were kept in memory
+        const stale = await backend.list(LEASES);
+        await backend.remove(LEASES, stale.map((lease) => lease.name));
+      }
+      return importLegacySubscriptions(backend, options.legacyFile);
+    },
+
+    // { file, imported } once subscriptions.json has been imported, else null
+    legacyImport: () => backend.get(META, 'legacy-import'),
+
+    async close() {
+      await backend.close();
+      if (local) await runsBackend.close();
+    },
+
+    getSubscription: (endpoint) => backend.get(SUBSCRIPTIONS, endpoint),
+    listSubscriptions: () => backend.list(SUBSCRIPTIONS),
+    countSubscriptions: () => backend.count(SUBSCRIPTIONS),
+    saveSubscription: (sub) => backend.put(SUBSCRIPTIONS, sub.endpoint, sub),
+    removeSubscriptions: (endpoints) => backend.remove(SUBSCRIPTIONS, endpoints),
+
+    // read-modify-write of several subscriptions in one batch; endpoints that vanished are skipped
+    async updateSubscriptions(endpoints, update) {
+      const entries = [];
+      for (const endpoint of endpoints) {
+        const sub = await backend.get(SUBSCRIPTIONS, endpoint);
+        if (sub) entries.push([endpoint, update(sub)]);
+      }
+      return backend.putMany(SUBSCRIPTIONS, entries);
+    },
+
+    getRun: (id) => runsBackend.get(RUNS, id),
+    saveRun: (run) => runsBackend.put(RUNS, run.id, run),
+
+    // newest first; the full records (with per-endpoint outcomes) come from getRun
+    async listRuns({ eventId, limit = 50 } = {}) {
+      const runs = (await runsBackend.list(RUNS))
+        .filter((run) => !eventId || run.eventId === eventId)
+        .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+      return runs.slice(0, limit);
+    },
+
+    getApiKey: (id) => backend.get(API_KEYS, id),
+    listApiKeys: () => backend.list(API_KEYS),
+    saveApiKey: (key) => backend.put(API_KEYS, key.id, key),
+
+    // one pending snooze per subscription and event; a new one replaces the old
+    saveSnooze: (snooze) => backend.put(SNOOZES, `${snooze.eventId}|${snooze.endpoint}`, snooze),
+    listSnoozes: () => backend.list(SNOOZES),
+    removeSnoozes: (snoozes) => backend.remove(SNOOZES, snoozes.map((s) => `${s.eventId}|${s.endpoint}`)),
+
+    getAnnouncement: (id) => backend.get(ANNOUNCEMENTS, id),
+    saveAnnouncement: (a) => backend.put(ANNOUNCEMENTS, a.id, a),
+    async listAnnouncements({ status } = {}) {
+      return (await backend.list(ANNOUNCEMENTS))
+        .filter((a) => !status || a.status === status)
+        .sort((a, b) => (a.sendAt < b.sendAt ? -1 : 1));
+    },
+
+    // pushes the delivery policy held back, sent once `dueAt` passes
+    saveDeferred: (items) => backend.putMany(DEFERRED, items.map((item) => [item.id, item])),
+    listDeferred: () => backend.list(DEFERRED),
+    removeDeferred: (ids) => backend.remove(DEFERRED, ids),
+
+    getSchedulerState: (key) => backend.get(SCHEDULER, key),
+    saveSchedulerState: (key, state) => backend.put(SCHEDULER, key, state),
+
+    // Leases: a named lock held by `owner` until `expiresAt`. Resolves true when this owner holds it afterwards.
+    async acquireLease(name, owner, ttlMs, now = Date.now()) {
+      if (local) {
+        const current = leases.get(name);
+        if (current && current.owner !== owner && current.expiresAt > now) return false;
+        leases.set(name, { owner, expiresAt: now + ttlMs });
+        return true;
+      }
+      const lease = await backend.update(LEASES, name, (current) => {
+        if (current && current.owner !== owner && Date.parse(current.expiresAt) > now) return undefined;
+        return { name, owner, expiresAt: new Date(now + ttlMs).toISOString() };
+      });
+      return !!lease && lease.owner === owner;
+    },
+
+    async releaseLease(name, owner) {
+      if (local) {
+        if (leases.has(name) && leases.get(name).owner === owner) leases.delete(name);
+        return;
+      }
+      await backend.update(LEASES, name, (current) => {
+        if (!current || current.owner !== owner) return undefined;
+        return { ...current, expiresAt: new Date(0).toISOString() };
+      });
+    },
+
+    // keep only the newest `keep` runs
+    async pruneRuns(keep) {
+      const runs = await this.listRuns({ limit: Infinity });
+      return runsBackend.remove(RUNS, runs.slice(keep).map((run) => run.id));
+    },
+  };
+}
+
+module.exports = { createStore };
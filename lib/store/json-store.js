@@ -0,0 +1,120 @@
+// lib/store/json-store.js - JSON file backend with atomic writes (temp file + rename)
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_VERSION = 1;
+
+// `now()` stamps createdAt/updatedAt as an ISO string (the app passes its own clock)
+function createJsonStore({ file, now: timestamp = () => new Date().toISOString() }) {
+  let data = { version: FORMAT_VERSION, collections: {} };
+  // writes are chained so two mutations never race on the temp file
+  let writeChain = Promise.resolve();
+
+  function collection(name) {
+    if (!data.collections[name]) data.collections[name] = {};
+    return data.collections[name];
+  }
+
+  async function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    const write = writeChain.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      const handle = await fs.promises.open(tmp, 'w');
+      try {
+        await handle.writeFile(snapshot);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+    });
+    // keep the chain alive after a failed write, but surface the error to this caller
+    writeChain = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    driver: 'json',
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        const raw = await fs.promises.readFile(file, 'utf8');
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed.collections !== 'object') {
+          throw new Error(`${file} is not a store file`);
+        }
+        data = parsed;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        await persist();
+      }
+    },
+
+    async get(name, id) {
+      const doc = collection(name)[id];
+      return doc ? { ...doc } : null;
+    },
+
+    async list(name) {
+      return Object.values(collection(name)).map((doc) => ({ ...doc }));
+    },
+
+    async count(name) {
+      return Object.keys(collection(name)).length;
+    },
+
+    async put(name, id, doc) {
+      const docs = collection(name);
+      const now = timestamp();
+      const createdAt = docs[id] ? docs[id].createdAt : doc.createdAt || now;
+      docs[id] = { ...doc, createdAt, updatedAt: now };
+      await persist();
+      return { ...docs[id] };
+    },
+
+    async putMany(name, entries) {
+      const docs = collection(name);
+      const now = timestamp();
+      for (const [id, doc] of entries) {
+        const createdAt = docs[id] ? docs[id].createdAt : doc.createdAt || now;
+        docs[id] = { ...doc, createdAt, updatedAt: now };
+      }
+      if (entries.length) await persist();
+      return entries.length;
+    },
+
+    // atomic read-modify-write of one document; `fn(current)` returns the new doc, or undefined to leave it.
+    // Atomic within this process only: the JSON store is not meant to be shared between instances.
+    async update(name, id, fn) {
+      const docs = collection(name);
+      const current = docs[id] ? { ...docs[id] } : null;
+      const next = fn(current);
+      if (next === undefined) return current;
+      const now = timestamp();
+      docs[id] = { ...next, createdAt: current ? current.createdAt : now, updatedAt: now };
+      await persist();
+      return { ...docs[id] };
+    },
+
+    async remove(name, ids) {
+      const docs = collection(name);
+      let removed = 0;
+      for (const id of ids) {
+        if (docs[id]) {
+          delete docs[id];
+          removed++;
+        }
+      }
+      if (removed) await persist();
+      return removed;
+    },
+
+    async close() {
+      await writeChain;
+    },
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,110 @@
+// lib/store/sqlite-store.js - SQLite backend (better-sqlite3 is an optional dependency)
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  ) WITHOUT ROWID;
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORE_DRIVER=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+// `now()` stamps created_at/updated_at as an ISO string (the app passes its own clock)
+function createSqliteStore({ file, now: timestamp = () => new Date().toISOString() }) {
+  let db = null;
+  let stmts = null;
+
+  function toDoc(row) {
+    return row ? { ...JSON.parse(row.data), createdAt: row.created_at, updatedAt: row.updated_at } : null;
+  }
+
+  function upsert(name, id, doc, now) {
+    // timestamps live in their own columns, not in the JSON blob
+    const { createdAt, updatedAt, ...rest } = doc;
+    stmts.upsert.run({ collection: name, id, data: JSON.stringify(rest), created_at: createdAt || now, updated_at: now });
+  }
+
+  return {
+    driver: 'sqlite',
+
+    async init() {
+      const Database = loadDriver();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+      stmts = {
+        get: db.prepare('SELECT data, created_at, updated_at FROM documents WHERE collection = ? AND id = ?'),
+        list: db.prepare('SELECT data, created_at, updated_at FROM documents WHERE collection = ? ORDER BY created_at'),
+        count: db.prepare('SELECT COUNT(*) AS n FROM documents WHERE collection = ?'),
+        upsert: db.prepare(`
+          INSERT INTO documents (collection, id, data, created_at, updated_at)
+          VALUES (@collection, @id, @data, @created_at, @updated_at)
+          ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+      };
+    },
+
+    async get(name, id) {
+      return toDoc(stmts.get.get(name, id));
+    },
+
+    async list(name) {
+      return stmts.list.all(name).map(toDoc);
+    },
+
+    async count(name) {
+      return stmts.count.get(name).n;
+    },
+
+    async put(name, id, doc) {
+      upsert(name, id, doc, timestamp());
+      return toDoc(stmts.get.get(name, id));
+    },
+
+    async putMany(name, entries) {
+      const now = timestamp();
+      db.transaction(() => {
+        for (const [id, doc] of entries) upsert(name, id, doc, now);
+      })();
+      return entries.length;
+    },
+
+    // atomic read-modify-write of one document; `fn(current)` returns the new doc, or undefined to leave it.
+    // BEGIN IMMEDIATE makes this safe between processes sharing the database file.
+    async update(name, id, fn) {
+      return db.transaction(() => {
+        const current = toDoc(stmts.get.get(name, id));
+        const next = fn(current);
+        if (next === undefined) return current;
+        upsert(name, id, next, timestamp());
+        return toDoc(stmts.get.get(name, id));
+      }).immediate();
+    },
+
+    async remove(name, ids) {
+      return db.transaction(() => ids.reduce((n, id) => n + stmts.remove.run(name, id).changes, 0))();
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
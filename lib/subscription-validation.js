@@ -0,0 +1,72 @@
+// lib/subscription-validation.js - strict checks on PushSubscriptions sent by clients
+//
+// The server POSTs to whatever endpoint a subscription names, so endpoints are limited to https URLs on
+// known push-service hosts (no internal addresses), and the keys must decode to what RFC 8291 expects.
+
+const DEFAULT_PUSH_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  '*.push.services.mozilla.com',
+  '*.notify.windows.com',
+  'web.push.apple.com',
+  '*.push.apple.com',
+];
+
+const MAX_ENDPOINT_LENGTH = 2048;
+const P256DH_BYTES = 65; // uncompressed P-256 point
+const AUTH_BYTES = 16;
+const BASE64URL = /^[A-Za-z0-9_-]+={0,2}$/;
+
+// "*.example.com" matches any subdomain of example.com, but not example.com itself
+function hostAllowed(hostname, patterns) {
+  return patterns.some((p) => (p.startsWith('*.') ? hostname.endsWith(p.slice(1)) : hostname === p));
+}
+
+function decodedLength(value) {
+  if (typeof value !== 'string' || !BASE64URL.test(value)) return -1;
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').length;
+}
+
+/**
+ * `allowedHosts` are hostnames or "*." patterns; `allowHttp` also accepts plain http endpoints
+ * (local push-service stand-ins). validate(raw) resolves to { subscription } with only the fields
+ * the server keeps, or { error }.
+ */
+function createSubscriptionValidator({ allowedHosts = DEFAULT_PUSH_HOSTS, allowHttp = false } = {}) {
+  const hosts = allowedHosts.map((h) => h.toLowerCase());
+
+  function validateEndpoint(endpoint) {
+    if (typeof endpoint !== 'string' || !endpoint || endpoint.length > MAX_ENDPOINT_LENGTH) {
+      return `endpoint must be a URL of at most ${MAX_ENDPOINT_LENGTH} characters`;
+    }
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (err) {
+      return 'endpoint must be a URL';
+    }
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) return 'endpoint must use https';
+    if (url.username || url.password) return 'endpoint must not contain credentials';
+    if (!hostAllowed(url.hostname.toLowerCase(), hosts)) return `Push service ${url.hostname} is not allowed`;
+    return null;
+  }
+
+  function validate(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'Invalid subscription object' };
+    const endpointError = validateEndpoint(raw.endpoint);
+    if (endpointError) return { error: endpointError };
+    const keys = raw.keys || {};
+    if (decodedLength(keys.p256dh) !== P256DH_BYTES || Buffer.from(keys.p256dh, 'base64')[0] !== 0x04) {
+      return { error: `keys.p256dh must be a base64url-encoded ${P256DH_BYTES}-byte P-256 public key` };
+    }
+    if (decodedLength(keys.auth) !== AUTH_BYTES) {
+      return { error: `keys.auth must be a base64url-encoded ${AUTH_BYTES}-byte secret` };
+    }
+    const expirationTime = typeof raw.expirationTime === 'number' ? raw.expirationTime : null;
+    return { subscription: { endpoint: raw.endpoint, expirationTime, keys: { p256dh: keys.p256dh, auth: keys.auth } } };
+  }
+
+  return { validate, validateEndpoint };
+}
+
+module.exports = { DEFAULT_PUSH_HOSTS, createSubscriptionValidator };
@@ -0,0 +1,69 @@
+// lib/templates.js - localised message templates with placeholders and plural rules
+//
+// A template is either a string or an object keyed by Intl.PluralRules category
+// ({ one, few, many, other, ... }), picked using the `count` variable.
+// Placeholders look like {days}; unknown placeholders are left untouched.
+
+const fs = require('fs');
+const path = require('path');
+
+const FALLBACK_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+function loadLocaleTemplates(dir = LOCALES_DIR) {
+  const templates = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (path.extname(file) !== '.json') continue;
+    templates[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  }
+  if (!templates[FALLBACK_LOCALE]) throw new Error(`Missing ${FALLBACK_LOCALE}.json in ${dir}`);
+  return templates;
+}
+
+// "sw-KE" -> "sw" when only the base language is available; anything unknown falls back to English
+function resolveLocale(requested, available) {
+  if (typeof requested === 'string' && requested) {
+    let canonical;
+    try {
+      [canonical] = Intl.getCanonicalLocales(requested);
+    } catch (err) {
+      canonical = null;
+    }
+    if (canonical) {
+      if (available.includes(canonical)) return canonical;
+      const base = canonical.split('-')[0];
+      if (available.includes(base)) return base;
+    }
+  }
+  return FALLBACK_LOCALE;
+}
+
+function fill(text, vars) {
+  return String(text).replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+}
+
+function render(template, vars, locale) {
+  let text = template;
+  if (template && typeof template === 'object') {
+    const category = new Intl.PluralRules(locale).select(Number(vars.count));
+    text = category in template ? template[category] : template.other;
+  }
+  return fill(text === undefined ? '' : text, vars);
+}
+
+// `templates` maps locale -> { title, body }; uses the reader's locale, else English, else whatever exists
+function renderLocalized(templates, locale, vars) {
+  const available = Object.keys(templates);
+  let resolved = resolveLocale(locale, available);
+  if (!templates[resolved]) resolved = available[0];
+  const template = templates[resolved];
+  return { title: render(template.title, vars, resolved), body: render(template.body, vars, resolved), lang: resolved };
+}
+
+module.exports = {
+  FALLBACK_LOCALE,
+  loadLocaleTemplates,
+  resolveLocale,
+  render,
+  renderLocalized,
+};
@@ -0,0 +1,46 @@
+// lib/timers.js - keyed one-off timers for absolute timestamps
+//
+// setTimeout can't wait longer than ~24.8 days, so long delays are re-armed in steps. `now` (epoch ms)
+// is what the delays are measured from; the timers themselves still run on real time.
+
+const MAX_DELAY = 2 ** 31 - 1;
+
+function createTimers({ now = Date.now } = {}) {
+  const timers = new Map();
+
+  function arm(id, at, fn) {
+    const delay = at - now();
+    if (delay > MAX_DELAY) {
+      timers.set(id, setTimeout(() => arm(id, at, fn), MAX_DELAY));
+      return;
+    }
+    timers.set(
+      id,
+      setTimeout(() => {
+        timers.delete(id);
+        fn();
+      }, Math.max(0, delay))
+    );
+  }
+
+  function cancel(id) {
+    const timer = timers.get(id);
+    if (timer) clearTimeout(timer);
+    return timers.delete(id);
+  }
+
+  return {
+    // replaces any timer already set under `id`; `at` is epoch milliseconds
+    schedule(id, at, fn) {
+      cancel(id);
+      arm(id, at, fn);
+    },
+    cancel,
+    cancelAll() {
+      for (const id of Array.from(timers.keys())) cancel(id);
+    },
+    has: (id) => timers.has(id),
+  };
+}
+
+module.exports = { createTimers };
@@ -0,0 +1,45 @@
+// lib/vapid.js - current + legacy VAPID key sets
+//
+// A push subscription is bound to the application server key it was created with, so keys can't
+// simply be swapped: the previous key stays available as a "legacy" key for sending until every
+// subscriber has re-subscribed with the current one.
+//   VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY   current key
+//   VAPID_LEGACY_KEYS                      comma separated "publicKey:privateKey" pairs
+
+const crypto = require('crypto');
+
+// Stable short id derived from the public key, stored on each subscription
+function keyId(publicKey) {
+  return crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 12);
+}
+
+function parseKeyList(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [publicKey, privateKey] = pair.split(':').map((part) => part && part.trim());
+      if (!publicKey || !privateKey) throw new Error('VAPID_LEGACY_KEYS entries must look like "publicKey:privateKey"');
+      return { publicKey, privateKey };
+    });
+}
+
+function formatKeyList(keys) {
+  return keys.map((k) => `${k.publicKey}:${k.privateKey}`).join(',');
+}
+
+function loadVapidKeys(env = process.env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set in environment.');
+  }
+  const current = { id: keyId(env.VAPID_PUBLIC_KEY), publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY };
+  const legacy = parseKeyList(env.VAPID_LEGACY_KEYS)
+    .map((k) => ({ id: keyId(k.publicKey), ...k }))
+    .filter((k) => k.id !== current.id);
+
+  const byId = new Map([current, ...legacy].map((k) => [k.id, k]));
+  return { current, legacy, byId };
+}
+
+module.exports = { keyId, parseKeyList, formatKeyList, loadVapidKeys };
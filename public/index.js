@@ -41,15 +41,52 @@
     return Uint8Array.from([...rawData].map((c) => c.charCodeAt(0)));
   }
 
-  /* Countdown using server-provided target */
+  // Which countdown this page follows: ?event=<id>, otherwise the server default
+  const EVENT_ID = new URLSearchParams(window.location.search).get('event') || '';
+
+  /* Last known countdown target, kept in IndexedDB so the countdown keeps ticking offline */
+  const DB_NAME = 'helalink';
+  const TARGET_STORE = 'countdownTargets';
+  const TARGET_KEY = EVENT_ID || 'default';
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(TARGET_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withTargetStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(TARGET_STORE, mode);
+      const req = fn(tx.objectStore(TARGET_STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+    });
+  }
+
+  const loadSavedTarget = () => withTargetStore('readonly', (store) => store.get(TARGET_KEY));
+  const saveTarget = (countdown) => withTargetStore('readwrite', (store) => store.put({
+    eventId: countdown.eventId || EVENT_ID || null,
+    targetDateISO: countdown.targetDateISO,
+    savedAt: new Date().toISOString(),
+  }, TARGET_KEY));
+
+  /* Countdown using server-provided target; a newer target just replaces the one being shown */
+  let countdownTarget = null;
+  let countdownTimer = null;
+  let clockOffsetMs = 0; // server clock minus this device's clock, from the countdown stream
+
   function startCountdown(launchIso) {
-    const target = new Date(launchIso);
+    countdownTarget = new Date(launchIso);
     const dEl = document.getElementById('d'), hEl = document.getElementById('h'),
       mEl = document.getElementById('m'), sEl = document.getElementById('s');
 
     function tick() {
-      const now = new Date();
-      let diff = target - now;
+      let diff = countdownTarget - (Date.now() + clockOffsetMs);
       if (diff <= 0) { dEl.textContent = hEl.textContent = mEl.textContent = sEl.textContent = '00'; return; }
       const days = Math.floor(diff / (1000 * 60 * 60 * 24)); diff %= (1000 * 60 * 60 * 24);
       const hours = Math.floor(diff / (1000 * 60 * 60)); diff %= (1000 * 60 * 60);
@@ -62,29 +99,97 @@
     }
 
     tick();
-    setInterval(tick, 1000);
+    if (!countdownTimer) countdownTimer = setInterval(tick, 1000);
   }
 
-  /* Fetch server countdown (timezone-correct) */
+  /* Fetch server countdown (timezone-correct), starting from the saved target while it loads */
   async function initCountdownFromServer() {
+    const saved = await loadSavedTarget().catch(() => null);
+    if (saved && saved.targetDateISO) startCountdown(saved.targetDateISO);
     try {
-      const r = await fetch('/api/countdown');
+      const r = await fetch('/api/countdown' + (EVENT_ID ? '?event=' + encodeURIComponent(EVENT_ID) : ''));
       if (!r.ok) throw new Error('Failed to fetch countdown info');
       const j = await r.json();
       if (j && j.targetDateISO) {
         startCountdown(j.targetDateISO);
+        saveTarget(j).catch((e) => console.warn('Could not save the countdown for offline use:', e));
         return;
       }
     } catch (e) {
-      console.warn('Could not fetch /api/countdown, falling back to default:', e);
+      console.warn('Could not fetch /api/countdown:', e);
     }
-    // Fallback (explicit Nairobi midnight)
-    startCountdown('2025-09-13T00:00:00+03:00');
+    // no made-up date: without a server answer we show the saved target or nothing at all
+    showToast(saved ? 'Offline — showing the last known countdown.' : 'Connect to the internet to load the countdown.');
+  }
+
+  /* Live countdown (/api/countdown/stream): the server's target and clock, re-sent every heartbeat and
+     whenever the event changes. A message only arrives after some network delay, so the largest recent
+     offset is the closest to the truth. */
+  const OFFSET_SAMPLES = 5;
+  let offsetSamples = [];
+
+  function connectCountdownStream() {
+    if (!('EventSource' in window)) return;
+    const source = new EventSource('/api/countdown/stream' + (EVENT_ID ? '?event=' + encodeURIComponent(EVENT_ID) : ''));
+    source.addEventListener('countdown', (e) => {
+      const j = JSON.parse(e.data);
+      offsetSamples = offsetSamples.concat(j.serverTime - Date.now()).slice(-OFFSET_SAMPLES);
+      clockOffsetMs = Math.max(...offsetSamples);
+      if (!countdownTarget || new Date(j.targetDateISO).getTime() !== countdownTarget.getTime()) {
+        saveTarget(j).catch((err) => console.warn('Could not save the countdown for offline use:', err));
+      }
+      startCountdown(j.targetDateISO);
+    });
+    // the event was taken down; keep what's on screen rather than reconnecting for nothing
+    source.addEventListener('removed', () => source.close());
+  }
+
+  /* Installable app (manifest.webmanifest). iOS only offers web push to apps added to the Home Screen. */
+  let installPrompt = null; // the deferred beforeinstallprompt event
+
+  const isStandalone = () => window.matchMedia('(display-mode: standalone)').matches || navigator.standalone === true;
+  // iPadOS reports itself as a Mac, but one with a touch screen
+  const isIOS = () => /iPad|iPhone|iPod/.test(navigator.userAgent) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+  const needsInstallForPush = () => isIOS() && !isStandalone();
+
+  function updateInstallUi() {
+    const btn = document.getElementById('installBtn');
+    if (btn) btn.hidden = !installPrompt || isStandalone();
+    const hint = document.getElementById('installHint');
+    if (hint) hint.hidden = !needsInstallForPush();
+  }
+
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault(); // offer our own button instead of the browser's mini-infobar
+    installPrompt = e;
+    updateInstallUi();
+  });
+  window.addEventListener('appinstalled', () => {
+    installPrompt = null;
+    updateInstallUi();
+  });
+
+  // resolves true when the user accepted; the event can only be used once
+  async function promptInstall() {
+    if (!installPrompt) return false;
+    const prompt = installPrompt;
+    installPrompt = null;
+    prompt.prompt();
+    const { outcome } = await prompt.userChoice;
+    updateInstallUi();
+    return outcome === 'accepted';
   }
 
   /* Service Worker + Push */
   let swReg = null;
-  let isSubscribed = false;
+  // Badge text per subscription state: unsupported, blocked (permission denied), unsubscribed (no badge),
+  // pending (confirmation outstanding) or subscribed
+  const STATE_LABELS = {
+    unsupported: 'Browser reminders are not supported here',
+    blocked: 'Notifications are blocked for this site',
+    pending: 'Waiting for you to confirm',
+    subscribed: 'Subscribed'
+  };
 
   async function registerServiceWorker() {
     if (!('serviceWorker' in navigator)) {
@@ -95,21 +200,202 @@
       // Register at /sw.js
       swReg = await navigator.serviceWorker.register('/sw.js');
       console.log('Service Worker registered:', swReg);
-      const sub = await swReg.pushManager.getSubscription();
-      isSubscribed = !!sub;
-      updateSubBadge(isSubscribed);
     } catch (err) {
       console.error('SW registration failed:', err);
     }
   }
 
-  function updateSubBadge(flag) {
+  function setSubscriptionState(state) {
     const b = document.getElementById('subBadge');
-    if (!b) return;
-    b.style.display = flag ? 'inline-block' : 'none';
+    if (b) {
+      b.textContent = STATE_LABELS[state] || '';
+      b.dataset.state = state;
+      b.style.display = STATE_LABELS[state] ? 'inline-block' : 'none';
+    }
+    if (state === 'subscribed' || state === 'pending') {
+      showSettings().catch((e) => console.warn('Could not load reminder settings:', e));
+    } else {
+      hideSettings();
+    }
+  }
+
+  /* Matches this browser's push subscription against what the server holds (GET /api/subscription/status):
+     a subscription the server has lost (pruned, never confirmed in time) is registered again, and local
+     state with nothing behind it is cleared. */
+  async function reconcileSubscription() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) {
+      setSubscriptionState('unsupported');
+      return;
+    }
+    const sub = swReg ? await swReg.pushManager.getSubscription() : null;
+    if (Notification.permission === 'denied' || !sub) {
+      if (sub) await sub.unsubscribe().catch(() => {});
+      localStorage.removeItem('helalink_sub_id');
+      setSubscriptionState(Notification.permission === 'denied' ? 'blocked' : 'unsubscribed');
+      return;
+    }
+
+    const { endpoint, keys } = sub.toJSON();
+    let status;
+    try {
+      const r = await fetch('/api/subscription/status?endpoint=' + encodeURIComponent(endpoint), {
+        headers: { 'X-Subscription-Auth': keys.auth }
+      });
+      if (!r.ok) throw new Error('Failed to check the subscription');
+      ({ status } = await r.json());
+    } catch (e) {
+      // offline or the server is down: go by what the browser has until the next visit
+      console.warn('Could not check the subscription with the server:', e);
+      setSubscriptionState('subscribed');
+      return;
+    }
+
+    if (status === 'active') setSubscriptionState('subscribed');
+    else if (status === 'pending') setSubscriptionState('pending');
+    else {
+      localStorage.removeItem('helalink_sub_id');
+      try {
+        const result = await subscribeForHelalink();
+        if (result.status === 'pending') showToast('Please confirm your reminders again: a confirmation notification is on its way.');
+      } catch (e) {
+        console.warn('Could not register the subscription again:', e);
+        // only a dead subscription is thrown away; after anything else (rate limit, server busy,
+        // offline) it's kept and registering is tried again on the next visit
+        if (e.code === 'subscription-gone') await sub.unsubscribe().catch(() => {});
+        setSubscriptionState('unsubscribed');
+      }
+    }
+  }
+
+  /* Reminder settings (preferences API; the subscription's auth secret proves it is ours) */
+  const TOPIC_LABELS = {
+    launch: 'Launch news',
+    'daily-countdown': 'Daily countdown',
+    announcements: 'Announcements'
+  };
+  let settingsOptions = null; // { topics, locales } the server offers
+
+  async function currentSubscription() {
+    if (!swReg) return null;
+    const sub = await swReg.pushManager.getSubscription();
+    return sub ? sub.toJSON() : null;
+  }
+
+  async function loadPreferences() {
+    const sub = await currentSubscription();
+    if (!sub) return null;
+    const r = await fetch('/api/subscription/preferences?endpoint=' + encodeURIComponent(sub.endpoint), {
+      headers: { 'X-Subscription-Auth': sub.keys.auth }
+    });
+    if (r.status === 404) return null;
+    if (!r.ok) throw new Error('Failed to load reminder settings');
+    return r.json();
+  }
+
+  async function savePreferences(changes) {
+    const sub = await currentSubscription();
+    if (!sub) throw new Error('Not subscribed');
+    const r = await fetch('/api/subscription/preferences', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint: sub.endpoint, auth: sub.keys.auth, ...changes })
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(json.error || 'Failed to save reminder settings');
+    return json.preferences;
+  }
+
+  function languageName(locale) {
+    try { return new Intl.DisplayNames([locale], { type: 'language' }).of(locale); } catch (e) { return locale; }
+  }
+
+  function fillSelect(select, entries, selected) {
+    select.textContent = '';
+    for (const [value, label] of entries) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      opt.selected = value === String(selected);
+      select.appendChild(opt);
+    }
+  }
+
+  function renderSettings(preferences, options) {
+    const topics = document.getElementById('prefTopics');
+    topics.querySelectorAll('label').forEach((l) => l.remove());
+    for (const topic of options.topics) {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.name = 'topic';
+      box.value = topic;
+      box.checked = preferences.topics.includes(topic);
+      label.append(box, ' ' + (TOPIC_LABELS[topic] || topic));
+      topics.appendChild(label);
+    }
+
+    const hours = Array.from({ length: 24 }, (_, h) => [String(h), String(h).padStart(2, '0') + ':00']);
+    fillSelect(document.getElementById('prefHour'), hours, preferences.hour);
+    const locale = preferences.locale ? preferences.locale.split('-')[0] : options.locales[0];
+    fillSelect(document.getElementById('prefLocale'), options.locales.map((l) => [l, languageName(l)]), locale);
+
+    document.getElementById('prefQuiet').checked = !!preferences.quietHours;
+    if (preferences.quietHours) {
+      document.getElementById('prefQuietStart').value = preferences.quietHours.start;
+      document.getElementById('prefQuietEnd').value = preferences.quietHours.end;
+    }
+
+    // an active pause shows as its own option so saving other settings keeps it
+    const pause = document.getElementById('prefPause');
+    const kept = pause.querySelector('option[value="keep"]');
+    if (kept) kept.remove();
+    if (preferences.pausedUntil && new Date(preferences.pausedUntil) > new Date()) {
+      const opt = document.createElement('option');
+      opt.value = 'keep';
+      opt.textContent = 'Paused until ' + new Date(preferences.pausedUntil).toLocaleString();
+      pause.insertBefore(opt, pause.firstChild);
+    }
+    pause.selectedIndex = 0;
+  }
+
+  function readSettingsForm() {
+    const changes = {
+      topics: Array.from(document.querySelectorAll('#prefTopics input[name="topic"]:checked')).map((b) => b.value),
+      hour: parseInt(document.getElementById('prefHour').value, 10),
+      locale: document.getElementById('prefLocale').value,
+      quietHours: document.getElementById('prefQuiet').checked
+        ? { start: document.getElementById('prefQuietStart').value, end: document.getElementById('prefQuietEnd').value }
+        : null
+    };
+    try { changes.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone; } catch (e) {}
+    const pause = document.getElementById('prefPause').value;
+    if (pause === '') changes.pausedUntil = null;
+    else if (pause !== 'keep') changes.pausedUntil = new Date(Date.now() + Number(pause) * 86400000).toISOString();
+    return changes;
   }
 
-  async function subscribeForHelalink() {
+  async function showSettings() {
+    const panel = document.getElementById('settingsPanel');
+    if (!panel) return;
+    const data = await loadPreferences();
+    if (!data) return hideSettings();
+    settingsOptions = data.options;
+    renderSettings(data.preferences, settingsOptions);
+    panel.hidden = false;
+  }
+
+  function hideSettings() {
+    const panel = document.getElementById('settingsPanel');
+    if (panel) panel.hidden = true;
+  }
+
+  // options.hour: preferred local delivery hour (0-23); the server default applies when omitted
+  async function subscribeForHelalink(options = {}) {
+    if (needsInstallForPush()) {
+      const err = new Error('Add Helalink to your Home Screen (Share → Add to Home Screen) and open it from there to turn on reminders.');
+      err.code = 'install-required';
+      throw err;
+    }
     if (!('serviceWorker' in navigator)) throw new Error('ServiceWorker not supported');
     if (!('PushManager' in window)) throw new Error('Push not supported');
 
@@ -118,32 +404,57 @@
     const permission = await Notification.requestPermission();
     if (permission !== 'granted') throw new Error('Notification permission denied');
 
-    // fetch VAPID public key (expects JSON { publicKey })
+    // fetch VAPID public key (expects JSON { publicKey, keyId })
     const resp = await fetch('/api/vapidPublicKey');
     if (!resp.ok) throw new Error('Failed to fetch VAPID public key');
-    const { publicKey: vapidPublicKey } = await resp.json();
+    const { publicKey: vapidPublicKey, keyId } = await resp.json();
     const applicationServerKey = urlBase64ToUint8Array(vapidPublicKey);
 
+    // a subscription made with an older (rotated) key has to be dropped before subscribing again
+    let previous = null;
+    const existing = await swReg.pushManager.getSubscription();
+    if (existing) {
+      const existingKey = existing.options && existing.options.applicationServerKey
+        ? new Uint8Array(existing.options.applicationServerKey) : null;
+      const sameKey = existingKey && existingKey.length === applicationServerKey.length
+        && existingKey.every((v, i) => v === applicationServerKey[i]);
+      if (!sameKey) {
+        previous = existing.toJSON();
+        await existing.unsubscribe().catch(() => {});
+      }
+    }
+
     // subscribe with pushManager
     const subscription = await swReg.pushManager.subscribe({
       userVisibleOnly: true,
       applicationServerKey
     });
 
-    // send the subscription object directly (server accepts raw subscription or wrapped payload)
+    // wrap the subscription so the server knows which event to remind about and when (in our local time)
+    const body = { subscription, vapidKeyId: keyId };
+    if (previous && previous.endpoint !== subscription.endpoint) {
+      body.previous = { endpoint: previous.endpoint, auth: previous.keys && previous.keys.auth };
+    }
+    if (EVENT_ID) body.events = [EVENT_ID];
+    try { body.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone; } catch (e) {}
+    if (navigator.language) body.locale = navigator.language;
+    if (Number.isInteger(options.hour)) body.hour = options.hour;
     const r = await fetch('/api/subscribe', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(subscription)
+      body: JSON.stringify(body)
     });
     if (!r.ok) {
       const txt = await r.text().catch(()=> 'no body');
-      throw new Error('Server subscribe failed: ' + txt);
+      let reply = {};
+      try { reply = JSON.parse(txt); } catch (e) {}
+      const err = new Error('Server subscribe failed: ' + (reply.error || txt));
+      err.code = reply.code; // 'subscription-gone': the push service rejected this subscription
+      throw err;
     }
     const json = await r.json().catch(()=>({}));
     localStorage.setItem('helalink_sub_id', json.id || subscription.endpoint || '');
-    isSubscribed = true;
-    updateSubBadge(true);
+    setSubscriptionState(json.status === 'pending' ? 'pending' : 'subscribed');
     return json;
   }
 
@@ -151,19 +462,19 @@
     if (!swReg) return;
     const existing = await swReg.pushManager.getSubscription();
     if (!existing) {
-      isSubscribed = false;
-      updateSubBadge(false);
+      localStorage.removeItem('helalink_sub_id');
+      setSubscriptionState('unsubscribed');
       return;
     }
-    const endpoint = existing.endpoint;
+    // the auth secret proves to the server it's ours; read it before the subscription is gone
+    const { endpoint, keys } = existing.toJSON();
     try {
       await existing.unsubscribe();
     } catch (e) {
       console.warn('Error unsubscribing locally:', e);
     }
 
-    // notify server (send endpoint and stored id if available)
-    const payload = { endpoint, id: localStorage.getItem('helalink_sub_id') || undefined };
+    const payload = { endpoint, auth: keys && keys.auth };
     try {
       await fetch('/api/unsubscribe', {
         method: 'POST',
@@ -174,16 +485,16 @@
       console.warn('Server unsubscribe failed:', err);
     }
 
-    isSubscribed = false;
-    updateSubBadge(false);
+    localStorage.removeItem('helalink_sub_id');
+    setSubscriptionState('unsubscribed');
     showToast('Unsubscribed from browser reminders.');
   }
 
   /* UI wiring */
   document.addEventListener('DOMContentLoaded', async () => {
     // register SW & init countdown
-    registerServiceWorker().catch(()=>{});
-    initCountdownFromServer().catch(()=>{});
+    registerServiceWorker().then(reconcileSubscription).catch((e) => console.warn('Could not check the subscription:', e));
+    initCountdownFromServer().catch(()=>{}).then(connectCountdownStream);
 
     // typing effect
     const typingEl = document.getElementById('typingText');
@@ -218,47 +529,70 @@
     const notifyBtn = document.getElementById('notifyBtn');
     if (notifyBtn) {
       notifyBtn.addEventListener('click', async () => {
+        if (window.Notification && Notification.permission === 'denied') {
+          setSubscriptionState('blocked');
+          showToast('Notifications are blocked: allow them for this site in your browser settings, then try again.', 8000);
+          return;
+        }
         try {
-          await subscribeForHelalink();
-          showToast('Subscribed to browser reminders.');
+          const result = await subscribeForHelalink();
+          showToast(result.status === 'pending'
+            ? 'Almost done: a confirmation notification is on its way.'
+            : 'Subscribed to browser reminders.');
         } catch (err) {
+          if (err.code === 'install-required') {
+            updateInstallUi();
+            showToast(err.message, 8000);
+            return;
+          }
           console.error(err);
+          if (window.Notification && Notification.permission === 'denied') setSubscriptionState('blocked');
           showToast('Could not subscribe: ' + (err.message || err));
         }
       });
     }
 
+    // Install button: only shown while the browser offers installation
+    const installBtn = document.getElementById('installBtn');
+    if (installBtn) {
+      installBtn.addEventListener('click', async () => {
+        if (await promptInstall()) showToast('Installed — open Helalink from your home screen any time.');
+      });
+    }
+    updateInstallUi();
+
     // Signal button
     const signalBtn = document.getElementById('signalBtn');
     if (signalBtn) {
       signalBtn.addEventListener('click', () => {
         openSignal();
         localStorage.setItem('helalink_signal_sub', 'requested');
-        const b = document.getElementById('subBadge'); if (b) b.style.display = 'inline-block';
+        const b = document.getElementById('subBadge');
+        if (b && b.style.display === 'none') { b.textContent = 'Subscribed via Signal'; b.style.display = 'inline-block'; }
         showToast("Opened Signal — send the message to subscribe.");
       });
     }
 
-    // Test push (triggers server to send to all subs)
-    const testPushBtn = document.getElementById('testPush');
-    if (testPushBtn) {
-      testPushBtn.addEventListener('click', async () => {
+    // Reminder settings + unsubscribe
+    const settingsForm = document.getElementById('settingsForm');
+    if (settingsForm) {
+      settingsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
         try {
-          const r = await fetch('/api/test-notification', { method: 'POST' });
-          const j = await r.json();
-          if (j.success) showToast('Test notification triggered.');
-          else showToast('Test triggered (server response).');
-        } catch (e) {
-          console.error(e);
-          showToast('Failed to trigger test.');
+          const preferences = await savePreferences(readSettingsForm());
+          renderSettings(preferences, settingsOptions);
+          showToast('Reminder settings saved.');
+        } catch (err) {
+          console.warn('save settings failed', err);
+          showToast('Could not save settings: ' + (err.message || err));
         }
       });
     }
-
-    // SubBadge quick-unsubscribe by contextmenu
-    const subBadge = document.getElementById('subBadge');
-    if (subBadge) {
-      subBadge.addEventListener('contextmenu', (e) => { e.preventDefault(); unsubscribeForHelalink(); });
+    const unsubscribeBtn = document.getElementById('unsubscribeBtn');
+    if (unsubscribeBtn) {
+      unsubscribeBtn.addEventListener('click', () => {
+        if (window.confirm('Stop all browser reminders from Helalink?')) unsubscribeForHelalink();
+      });
     }
 
     // Bot accordion + actions
@@ -286,5 +620,5 @@
     });
   });
 
-  window.helalink = { subscribeForHelalink, unsubscribeForHelalink, registerServiceWorker };
+  window.helalink = { subscribeForHelalink, unsubscribeForHelalink, registerServiceWorker, reconcileSubscription, loadPreferences, savePreferences, promptInstall };
 })();
@@ -9,8 +9,120 @@ function urlBase64ToUint8Array(base64String) {
   return out;
 }
 
-self.addEventListener('install', (event) => { self.skipWaiting(); });
-self.addEventListener('activate', (event) => { event.waitUntil(self.clients.claim()); });
+function isSameKey(buffer, publicKey) {
+  if (!buffer) return false;
+  const a = new Uint8Array(buffer);
+  const b = urlBase64ToUint8Array(publicKey);
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+async function fetchCurrentKey() {
+  const resp = await fetch('/api/vapidPublicKey');
+  if (!resp.ok) throw new Error('Failed to fetch VAPID public key during re-subscribe');
+  const { publicKey, keyId } = await resp.json();
+  if (!publicKey) throw new Error('No publicKey returned');
+  return { publicKey, keyId };
+}
+
+async function postSubscription(subscription, keyId, previous) {
+  const prev = previous && previous.toJSON ? previous.toJSON() : previous;
+  const body = { subscription, vapidKeyId: keyId };
+  // the old auth secret proves to the server that this subscription replaces the previous one
+  if (prev && prev.endpoint && prev.endpoint !== subscription.endpoint) {
+    body.previous = { endpoint: prev.endpoint, auth: prev.keys && prev.keys.auth };
+  }
+  await fetch('/api/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Drops `previous` (if any) and subscribes again with the given key
+async function resubscribe({ publicKey, keyId }, previous) {
+  const prevJson = previous && previous.toJSON ? previous.toJSON() : previous;
+  if (previous && previous.unsubscribe) {
+    try { await previous.unsubscribe(); } catch (err) { console.warn('Could not drop old subscription:', err); }
+  }
+  const applicationServerKey = urlBase64ToUint8Array(publicKey);
+  const newSub = await self.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+  await postSubscription(newSub, keyId, prevJson);
+  return newSub;
+}
+
+// Double opt-in: the server's confirmation push carries a one-time token that activates this subscription
+async function confirmSubscription(token) {
+  const sub = await self.registration.pushManager.getSubscription();
+  if (!sub) return;
+  const resp = await fetch('/api/subscription/confirm', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: sub.endpoint, token })
+  });
+  if (!resp.ok) throw new Error('Confirmation failed: ' + resp.status);
+}
+
+/* Offline: the page shell is precached per CACHE_VERSION (bump it whenever a shell file changes, so the
+   new worker installs a fresh copy and drops the old one); /api/countdown is stale-while-revalidate. */
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = 'helalink-shell-' + CACHE_VERSION;
+const API_CACHE = 'helalink-api-' + CACHE_VERSION;
+const SHELL_ASSETS = [
+  '/', '/index.html', '/index.js', '/manifest.webmanifest',
+  // app icons (generate-icons.js) and the ones notifications use
+  '/icon-192.png', '/icon-512.png', '/icon-maskable-512.png', '/apple-touch-icon.png',
+  '/countdown-icon.png', '/celebration-icon.png', '/badge-icon.png',
+];
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_ASSETS);
+}
+
+async function dropOldCaches() {
+  const keep = [SHELL_CACHE, API_CACHE];
+  const names = await caches.keys();
+  await Promise.all(names.filter((n) => n.startsWith('helalink-') && !keep.includes(n)).map((n) => caches.delete(n)));
+}
+
+// the shell never changes within a version: cache first, network for anything not precached
+async function fromShell(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: request.mode === 'navigate' });
+  return cached || fetch(request);
+}
+
+// answers from the cache right away when it can and refreshes it in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', (event) => {
+  event.waitUntil(dropOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === '/api/countdown') {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (SHELL_ASSETS.includes(url.pathname)) {
+    event.respondWith(fromShell(request));
+  }
+});
 
 self.addEventListener('push', (event) => {
   event.waitUntil((async () => {
@@ -35,31 +147,91 @@ self.addEventListener('push', (event) => {
         icon: iconUrl,
         badge: badgeUrl,
         tag: data.tag || 'helalink-notification',
+        lang: data.lang || '',
         requireInteraction: !!data.requireInteraction,
         data: { url: data.url || '/', customData: data.customData || {} }
       };
+      if (data.image) options.image = new URL(data.image, self.registration.scope).href;
+      if (Array.isArray(data.vibrate)) options.vibrate = data.vibrate;
+      if (data.timestamp) options.timestamp = data.timestamp;
+      if (Array.isArray(data.actions) && data.actions.length) {
+        const max = (self.Notification && Notification.maxActions) || data.actions.length;
+        options.actions = data.actions.slice(0, max).map((a) => ({ action: a.action, title: a.title }));
+      }
 
       await self.registration.showNotification(title, options);
+
+      if (data.customData && data.customData.confirm) await confirmSubscription(data.customData.confirm);
+
+      // server signals that this subscription still uses a legacy VAPID key
+      if (data.vapid && data.vapid.publicKey) {
+        const existing = await self.registration.pushManager.getSubscription();
+        if (existing && !isSameKey(existing.options && existing.options.applicationServerKey, data.vapid.publicKey)) {
+          await resubscribe(data.vapid, existing);
+          console.log('Re-subscribed with the current VAPID key.');
+        }
+      }
     } catch (err) {
       console.error('Error handling push event:', err);
     }
   })());
 });
 
-self.addEventListener('notificationclick', (event) => {
-  event.notification.close();
-  const urlToOpenRaw = (event.notification && event.notification.data && event.notification.data.url) ? event.notification.data.url : '/';
+async function openOrFocus(rawUrl) {
   let urlToOpen;
-  try { urlToOpen = new URL(urlToOpenRaw, self.registration.scope).href; }
+  try { urlToOpen = new URL(rawUrl || '/', self.registration.scope).href; }
   catch (e) { urlToOpen = new URL('/', self.registration.scope).href; }
 
+  const allClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  for (const client of allClients) {
+    try { if (client.url === urlToOpen && 'focus' in client) return client.focus(); } catch (err) {}
+  }
+  if (clients.openWindow) return clients.openWindow(urlToOpen);
+  return null;
+}
+
+// "Remind me tomorrow": the server re-sends this event's reminder later
+async function snooze(customData) {
+  const sub = await self.registration.pushManager.getSubscription();
+  if (!sub) return;
+  const { endpoint, keys } = sub.toJSON();
+  const resp = await fetch('/api/snooze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint, auth: keys && keys.auth, event: customData.eventId })
+  });
+  if (!resp.ok) throw new Error('Snooze failed: ' + resp.status);
+}
+
+// "Stop reminders": drop the subscription on the server and in the browser
+async function stopReminders() {
+  const sub = await self.registration.pushManager.getSubscription();
+  if (!sub) return;
+  const { endpoint, keys } = sub.toJSON();
+  await fetch('/api/unsubscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint, auth: keys && keys.auth })
+  });
+  await sub.unsubscribe();
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = (event.notification && event.notification.data) || {};
+  const customData = data.customData || {};
+
   event.waitUntil((async () => {
     try {
-      const allClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
-      for (const client of allClients) {
-        try { if (client.url === urlToOpen && 'focus' in client) return client.focus(); } catch (err) {}
+      switch (event.action) {
+        case 'snooze':
+          return await snooze(customData);
+        case 'stop':
+          return await stopReminders();
+        case 'open':
+        default:
+          return await openOrFocus(data.url);
       }
-      if (clients.openWindow) return clients.openWindow(urlToOpen);
     } catch (err) { console.warn('notificationclick handler error:', err); }
     return null;
   })());
@@ -68,34 +240,19 @@ self.addEventListener('notificationclick', (event) => {
 self.addEventListener('pushsubscriptionchange', (event) => {
   event.waitUntil((async () => {
     try {
+      const current = await fetchCurrentKey();
       const existing = await self.registration.pushManager.getSubscription();
       if (existing) {
-        try {
-          await fetch('/api/subscribe', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(existing)
-          });
-        } catch (err) {
-          console.warn('Failed to refresh subscription on server:', err);
+        if (isSameKey(existing.options && existing.options.applicationServerKey, current.publicKey)) {
+          await postSubscription(existing, current.keyId, event.oldSubscription);
+        } else {
+          // still on a legacy key: move to the current one so the old key can be retired
+          await resubscribe(current, existing);
         }
         return;
       }
 
-      const resp = await fetch('/api/vapidPublicKey');
-      if (!resp.ok) throw new Error('Failed to fetch VAPID public key during re-subscribe');
-      const { publicKey } = await resp.json();
-      if (!publicKey) throw new Error('No publicKey returned');
-
-      const applicationServerKey = urlBase64ToUint8Array(publicKey);
-      const newSub = await self.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
-
-      await fetch('/api/subscribe', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newSub)
-      });
-
+      await resubscribe(current, event.oldSubscription);
       console.log('Re-subscribed after pushsubscriptionchange.');
     } catch (err) {
       console.warn('Error during pushsubscriptionchange re-subscribe:', err);
@@ -0,0 +1,53 @@
+// reencrypt-store.js - re-seal subscription keys under the current SUBSCRIPTION_MASTER_KEY
+//   node reencrypt-store.js              re-encrypt every subscription not sealed with the current key
+//   node reencrypt-store.js --generate   print a fresh master key
+//
+// Run it with the server stopped: the JSON store keeps its data in memory and would overwrite the result.
+// Records sealed with an older key need that key in SUBSCRIPTION_MASTER_KEY_PREVIOUS; once this has run,
+// the old key can be dropped from it.
+require('dotenv').config();
+const path = require('path');
+const { createStore } = require('./lib/store');
+const { parseTokens } = require('./lib/auth');
+const { createKeyVault, generateMasterKey, resealSubscriptions } = require('./lib/key-vault');
+
+function generate() {
+  console.log('# SUBSCRIPTION MASTER KEY (copy to your .env or secret store; keep the old one in');
+  console.log('# SUBSCRIPTION_MASTER_KEY_PREVIOUS until the store has been re-encrypted)');
+  console.log('SUBSCRIPTION_MASTER_KEY=' + generateMasterKey());
+}
+
+async function reencrypt() {
+  if (!process.env.SUBSCRIPTION_MASTER_KEY) {
+    console.error('reencrypt: SUBSCRIPTION_MASTER_KEY must hold the key to encrypt with.');
+    process.exit(1);
+  }
+  const vault = createKeyVault({
+    masterKey: process.env.SUBSCRIPTION_MASTER_KEY,
+    previousKeys: parseTokens(process.env.SUBSCRIPTION_MASTER_KEY_PREVIOUS),
+  });
+
+  const driver = process.env.STORE_DRIVER || 'json';
+  const file = path.resolve(__dirname, process.env.STORE_FILE || (driver === 'sqlite' ? 'data/store.sqlite' : 'data/store.json'));
+  const store = createStore({ driver, file });
+  await store.init();
+  try {
+    const total = await store.countSubscriptions();
+    const count = await resealSubscriptions(store, vault);
+    console.log(`Re-encrypted ${count} of ${total} subscription(s) in ${file} with master key ${vault.keyId}.`);
+  } finally {
+    await store.close();
+  }
+}
+
+const mode = process.argv[2];
+if (mode === '--generate') generate();
+else if (!mode) {
+  reencrypt().catch((err) => {
+    console.error('reencrypt failed:', err.message);
+    process.exit(1);
+  });
+} else {
+  console.error(`Unknown option "${mode}" (expected no argument or "--generate")`);
+  process.exit(1);
+}
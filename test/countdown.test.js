@@ -0,0 +1,73 @@
+// test/countdown.test.js - day counting around midnight, across timezones and over leap years
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { loadEvents, getCountdown } = require('../lib/events');
+
+function load(list) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helalink-events-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'events.json'), JSON.stringify(list));
+    return loadEvents(path.join(dir, 'events.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const events = load([
+  { id: 'september-13', date: '09-13', timezone: 'Africa/Nairobi' },
+  { id: 'leap-day', date: '02-29', timezone: 'UTC' },
+  { id: 'march-2028', date: '2028-03-01', timezone: 'UTC' },
+]);
+
+function countdown(eventId, iso, zone) {
+  return getCountdown(events.get(eventId), { now: DateTime.fromISO(iso, { setZone: true }), zone });
+}
+
+test('the count drops at midnight in the event timezone, not a second earlier', () => {
+  assert.equal(countdown('september-13', '2027-09-11T23:59:59+03:00').days, 2);
+  assert.equal(countdown('september-13', '2027-09-12T00:00:00+03:00').days, 1);
+});
+
+test("days are counted in the viewer's timezone", () => {
+  // just past midnight in Nairobi it's still the afternoon before in Los Angeles
+  assert.equal(countdown('september-13', '2027-09-12T00:30:00+03:00', 'America/Los_Angeles').days, 2);
+  assert.equal(countdown('september-13', '2027-09-13T01:00:00+03:00', 'America/Los_Angeles').days, 1);
+});
+
+test('the whole target day counts as today, and the next day rolls over to next year', () => {
+  for (const iso of ['2027-09-13T00:00:00+03:00', '2027-09-13T23:59:00+03:00']) {
+    const c = countdown('september-13', iso);
+    assert.deepEqual({ days: c.days, isToday: c.isToday }, { days: 0, isToday: true });
+  }
+  const after = countdown('september-13', '2027-09-14T00:00:00+03:00');
+  // 2027-09-14 to 2028-09-13 spans February 29th, 2028
+  assert.deepEqual({ days: after.days, isToday: after.isToday, isPast: after.isPast }, { days: 365, isToday: false, isPast: false });
+  assert.ok(after.targetDateISO.startsWith('2028-09-13'));
+});
+
+test('counting across February 29th in a leap year', () => {
+  assert.equal(countdown('march-2028', '2028-02-28T12:00:00Z').days, 2);
+  assert.equal(countdown('march-2028', '2027-02-28T12:00:00Z').days, 367);
+});
+
+test('an annual February 29th falls on the 28th in common years', () => {
+  const common = countdown('leap-day', '2027-02-27T12:00:00Z');
+  assert.equal(common.days, 1);
+  assert.ok(common.targetDateISO.startsWith('2027-02-28'));
+
+  const leap = countdown('leap-day', '2027-03-01T12:00:00Z');
+  assert.ok(leap.targetDateISO.startsWith('2028-02-29'));
+  assert.equal(leap.days, 365);
+
+  assert.ok(countdown('leap-day', '2028-03-01T00:00:00Z').targetDateISO.startsWith('2029-02-28'));
+});
+
+test('dates that never exist are rejected', () => {
+  assert.throws(() => load([{ id: 'bad', date: '02-30' }]), /no such day/);
+  assert.throws(() => load([{ id: 'bad', date: '2027-02-29' }]), /no such day/);
+});
@@ -0,0 +1,180 @@
+// test/delivery.test.js - manual sends, broadcasts, pruning of gone subscriptions, back-pressure and deferred pushes
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+let h;
+beforeEach(async () => {
+  // 08:00 in Nairobi, 31 days before the launch
+  h = await createHarness({ now: '2026-12-01T05:00:00Z' });
+});
+afterEach(async () => {
+  await h.close();
+});
+
+test('a manual send delivers the countdown, encrypted for each subscriber', async () => {
+  const en = await h.subscribeActive();
+  const sw = await h.subscribeActive({ locale: 'sw' });
+  h.push.reset();
+
+  const res = await h.admin('POST', '/api/test-notification', { event: 'launch' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.launch.sent, 2);
+
+  const [payload] = h.push.payloadsFor(en.endpoint);
+  assert.equal(payload.customData.eventId, 'launch');
+  assert.equal(payload.customData.daysRemaining, 31);
+  assert.equal(payload.timestamp, h.now().toMillis());
+  assert.match(payload.body, /31/);
+  assert.equal(h.push.payloadsFor(sw.endpoint)[0].lang, 'sw');
+});
+
+test('subscriptions the push service reports gone (410) are pruned', async () => {
+  const kept = await h.subscribeActive();
+  const gone = await h.subscribeActive();
+  h.push.respond(gone.endpoint, 410);
+
+  const res = await h.admin('POST', '/api/test-notification', {});
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    { sent: res.body.summary.launch.sent, pruned: res.body.summary.launch.pruned },
+    { sent: 1, pruned: 1 }
+  );
+  assert.equal(await h.store.getSubscription(gone.endpoint), null);
+  assert.ok(await h.store.getSubscription(kept.endpoint));
+
+  const run = await h.admin('GET', `/api/runs/${res.body.summary.launch.runId}`);
+  const outcome = run.body.outcomes.find((o) => o.endpoint === gone.endpoint);
+  assert.deepEqual({ statusCode: outcome.statusCode, pruned: outcome.pruned }, { statusCode: 410, pruned: true });
+});
+
+test('a 429 is retried after Retry-After and then delivered', async () => {
+  const subscription = await h.subscribeActive();
+  h.push.reset();
+  h.push.respond(subscription.endpoint, { status: 429, headers: { 'Retry-After': '0' } }, 201);
+
+  const res = await h.admin('POST', '/api/test-notification', {});
+  assert.deepEqual(
+    { sent: res.body.summary.launch.sent, retried: res.body.summary.launch.retried },
+    { sent: 1, retried: 1 }
+  );
+  assert.deepEqual(
+    h.push.received.map((p) => p.status),
+    [429, 201]
+  );
+});
+
+test('a Retry-After longer than PUSH_RETRY_MAX_MS fails the push instead of retrying early', async () => {
+  const subscription = await h.subscribeActive();
+  h.push.reset();
+  h.push.respond(subscription.endpoint, { status: 503, headers: { 'Retry-After': '120' } }, 201);
+
+  const res = await h.admin('POST', '/api/test-notification', {});
+  assert.deepEqual(
+    { sent: res.body.summary.launch.sent, retried: res.body.summary.launch.retried, failed: res.body.summary.launch.failed },
+    { sent: 0, retried: 0, failed: 1 }
+  );
+  assert.equal(h.push.received.length, 1);
+
+  const run = await h.admin('GET', `/api/runs/${res.body.summary.launch.runId}`);
+  assert.equal(run.body.outcomes[0].statusCode, 503);
+  assert.ok(await h.store.getSubscription(subscription.endpoint));
+});
+
+test('a push service that keeps answering 429 fails the push but keeps the subscription', async () => {
+  const subscription = await h.subscribeActive();
+  h.push.reset();
+  h.push.respond(subscription.endpoint, 429);
+
+  const res = await h.admin('POST', '/api/test-notification', {});
+  assert.deepEqual(
+    { sent: res.body.summary.launch.sent, failed: res.body.summary.launch.failed },
+    { sent: 0, failed: 1 }
+  );
+  assert.equal(h.push.received.length, 4, 'one attempt plus PUSH_MAX_RETRIES (3) retries');
+  assert.ok(await h.store.getSubscription(subscription.endpoint));
+});
+
+test('broadcast age filters count from when the subscription was stored, by the app clock', async () => {
+  const old = await h.subscribeActive();
+  h.advance({ days: 3 });
+  const fresh = await h.subscribeActive();
+  assert.equal((await h.store.getSubscription(fresh.endpoint)).createdAt, h.now().toISO());
+  h.push.reset();
+
+  const message = { title: 'News', body: 'Something happened' };
+  const recent = await h.admin('POST', '/api/admin/broadcast', { message, audience: { maxAgeDays: 1 } });
+  assert.equal(recent.body.summary.sent, 1);
+  const established = await h.admin('POST', '/api/admin/broadcast', { message, audience: { minAgeDays: 2 } });
+  assert.equal(established.body.summary.sent, 1);
+
+  assert.equal(h.push.payloadsFor(fresh.endpoint).length, 1);
+  assert.equal(h.push.payloadsFor(old.endpoint).length, 1);
+  assert.notEqual(h.push.payloadsFor(fresh.endpoint)[0].customData.runId, h.push.payloadsFor(old.endpoint)[0].customData.runId);
+});
+
+// subscribes with quiet hours around the harness's 08:00 Nairobi, so a manual send is deferred until 09:00
+async function subscribeQuiet() {
+  const subscription = await h.subscribeActive();
+  const res = await h.request('PATCH', '/api/subscription/preferences', {
+    endpoint: subscription.endpoint,
+    auth: subscription.keys.auth,
+    quietHours: { start: '07:00', end: '09:00' },
+  });
+  assert.equal(res.status, 200);
+  return subscription;
+}
+
+async function deferredRun() {
+  const runs = await h.admin('GET', '/api/runs');
+  const summary = runs.body.find((r) => r.trigger === 'deferred');
+  return summary && (await h.admin('GET', `/api/runs/${summary.id}`)).body;
+}
+
+test('deferred pushes for paused or removed subscribers are dropped on the run, with why', async () => {
+  const paused = await subscribeQuiet();
+  const removed = await subscribeQuiet();
+  const res = await h.admin('POST', '/api/test-notification', {});
+  assert.equal(res.body.summary.launch.deferred, 2);
+
+  await h.request('PATCH', '/api/subscription/preferences', {
+    endpoint: paused.endpoint,
+    auth: paused.keys.auth,
+    pausedUntil: '2026-12-02T00:00:00Z',
+  });
+  await h.request('POST', '/api/unsubscribe', { endpoint: removed.endpoint, auth: removed.keys.auth });
+  h.push.reset();
+  h.setNow('2026-12-01T06:00:00Z');
+  await h.tick();
+
+  assert.equal(h.push.received.length, 0);
+  const run = await deferredRun();
+  assert.equal(run.summary.dropped, 2);
+  const byEndpoint = Object.fromEntries(run.suppressed.map(({ endpoint, reason, action, originRunId }) => [endpoint, { reason, action, originRunId }]));
+  const originRunId = res.body.summary.launch.runId;
+  assert.deepEqual(byEndpoint, {
+    [paused.endpoint]: { reason: 'paused', action: 'drop', originRunId },
+    [removed.endpoint]: { reason: 'removed', action: 'drop', originRunId },
+  });
+});
+
+test('a deferred push past PUSH_DEFER_MAX_MINUTES is dropped as expired', async () => {
+  const subscription = await subscribeQuiet();
+  await h.admin('POST', '/api/test-notification', {});
+  h.setNow('2026-12-01T18:00:00Z');
+  await h.tick();
+
+  const run = await deferredRun();
+  assert.deepEqual(run.outcomes, []);
+  assert.deepEqual(
+    run.suppressed.map(({ endpoint, reason, action }) => ({ endpoint, reason, action })),
+    [{ endpoint: subscription.endpoint, reason: 'expired', action: 'drop' }]
+  );
+  assert.deepEqual(await h.store.listDeferred(), []);
+});
+
+test('admin sends need a token', async () => {
+  const res = await h.request('POST', '/api/test-notification', {});
+  assert.equal(res.status, 401);
+});
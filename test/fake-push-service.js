@@ -0,0 +1,124 @@
+// test/fake-push-service.js - a local push service stand-in that decrypts what it receives
+//
+// subscribe() plays the browser: it makes a P-256 key pair and auth secret and returns a PushSubscription
+// whose endpoint points here. Incoming pushes are decrypted (RFC 8291, aes128gcm) with that key and
+// recorded. Each endpoint answers 201 unless told otherwise with respond().
+
+const http = require('http');
+const crypto = require('crypto');
+
+// RFC 8188 / RFC 8291: salt(16) | rs(4) | idlen(1) | keyid (the sender's public key) | one record
+function decrypt(body, { privateKey, publicKey, authSecret }) {
+  const salt = body.subarray(0, 16);
+  const idlen = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idlen);
+  const record = body.subarray(21 + idlen);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(privateKey);
+  const shared = ecdh.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), publicKey, senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', shared, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  // content, then the last-record delimiter 0x02, then zero padding
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (padded[end] !== 2) throw new Error('Missing last-record delimiter');
+  return padded.subarray(0, end).toString('utf8');
+}
+
+function createFakePushService() {
+  const clients = new Map(); // id -> { privateKey, publicKey, authSecret }
+  const responses = new Map(); // id -> [{ status, headers }] answered in order, the last one repeats
+  const received = [];
+  let nextId = 1;
+  let baseUrl = null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const id = req.url.replace(/^\/push\//, '');
+      const client = clients.get(id);
+      const queue = responses.get(id) || [];
+      const { status, headers } = queue.length > 1 ? queue.shift() : queue[0] || { status: 201, headers: {} };
+      const push = { id, status, headers: req.headers, payload: null, error: null };
+      if (status === 201) {
+        try {
+          if (!client) throw new Error(`Unknown endpoint ${req.url}`);
+          if (req.headers['content-encoding'] !== 'aes128gcm') throw new Error('Expected an aes128gcm body');
+          if (!/^vapid t=.+, k=.+/.test(req.headers.authorization || '')) throw new Error('Missing VAPID authorization');
+          push.payload = JSON.parse(decrypt(Buffer.concat(chunks), client));
+        } catch (err) {
+          push.error = err.message;
+        }
+      }
+      received.push(push);
+      res.writeHead(status, headers);
+      res.end();
+    });
+  });
+
+  function subscriptionFor(id) {
+    const ecdh = crypto.createECDH('prime256v1');
+    const publicKey = ecdh.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    clients.set(id, { privateKey: ecdh.getPrivateKey(), publicKey, authSecret });
+    return {
+      endpoint: `${baseUrl}/push/${id}`,
+      expirationTime: null,
+      keys: { p256dh: publicKey.toString('base64url'), auth: authSecret.toString('base64url') },
+    };
+  }
+
+  return {
+    received,
+
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+
+    stop: () => new Promise((resolve) => server.close(resolve)),
+
+    subscribe() {
+      return subscriptionFor(String(nextId++));
+    },
+
+    // the browser behind `endpoint` switches to fresh keys; pushes to the old ones no longer decrypt
+    rekey(endpoint) {
+      return subscriptionFor(endpoint.slice(endpoint.lastIndexOf('/') + 1));
+    },
+
+    // answers for `endpoint`, one status per push; the last keeps answering. e.g. respond(ep, 429, 201)
+    respond(endpoint, ...statuses) {
+      const id = endpoint.slice(endpoint.lastIndexOf('/') + 1);
+      responses.set(
+        id,
+        statuses.map((s) => (typeof s === 'number' ? { status: s, headers: {} } : s))
+      );
+    },
+
+    // decrypted payloads delivered to `endpoint`, oldest first
+    payloadsFor(endpoint) {
+      const id = endpoint.slice(endpoint.lastIndexOf('/') + 1);
+      return received.filter((p) => p.id === id && p.payload).map((p) => p.payload);
+    },
+
+    reset() {
+      received.length = 0;
+      responses.clear();
+    },
+  };
+}
+
+module.exports = { createFakePushService, decrypt };
@@ -0,0 +1,129 @@
+// test/harness.js - the app on a fake clock and a throwaway store, pushing to the fake push service
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const webpush = require('web-push');
+const { DateTime } = require('luxon');
+const { createApp } = require('../lib/app');
+const { createStore } = require('../lib/store');
+const { createFakePushService } = require('./fake-push-service');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// A single countdown with daily reminders, unless the test brings its own
+const DEFAULT_EVENTS = [{ id: 'launch', name: 'Launch', date: '2027-01-01', timezone: 'Africa/Nairobi' }];
+
+/**
+ * Starts an app listening on a random port. `now` is the initial clock (ISO), `env` overrides the test
+ * configuration, `events` replaces the event list and `legacySubscriptions` is an old subscriptions.json
+ * for the store to import. close() tears everything down.
+ */
+async function createHarness({ now = '2026-12-01T05:00:00Z', env = {}, events = DEFAULT_EVENTS, legacySubscriptions = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helalink-test-'));
+  fs.writeFileSync(path.join(dir, 'events.json'), JSON.stringify(events));
+  const legacyFile = path.join(dir, 'subscriptions.json');
+  if (legacySubscriptions) fs.writeFileSync(legacyFile, JSON.stringify(legacySubscriptions));
+  const push = createFakePushService();
+  await push.start();
+
+  let clock = DateTime.fromISO(now, { zone: 'utc' });
+  const vapidKeys = webpush.generateVAPIDKeys();
+  const store = createStore({
+    driver: 'json',
+    file: path.join(dir, 'store.json'),
+    legacyFile: legacySubscriptions ? legacyFile : null,
+    now: () => clock.toUTC().toISO(),
+  });
+  const service = createApp({
+    env: {
+      VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+      VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+      ADMIN_TOKENS: ADMIN_TOKEN,
+      EVENTS_FILE: path.join(dir, 'events.json'),
+      SUBSCRIPTIONS_FILE: legacyFile,
+      PUSH_ALLOWED_HOSTS: '127.0.0.1',
+      PUSH_ALLOW_HTTP: 'true',
+      PUSH_RETRY_BASE_MS: '10',
+      PUSH_RETRY_MAX_MS: '50',
+      SUBSCRIBE_RATE_LIMIT: '0',
+      LOG_LEVEL: 'silent',
+      ...env,
+    },
+    clock: () => clock,
+    store,
+  });
+  await service.start();
+  const server = await new Promise((resolve) => {
+    const s = service.app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, body, headers = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: { ...(body !== undefined ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    service,
+    store,
+    push,
+    baseUrl,
+    legacyFile,
+    request,
+    admin: (method, url, body) => request(method, url, body, { authorization: `Bearer ${ADMIN_TOKEN}` }),
+    now: () => clock,
+    setNow(iso) {
+      clock = DateTime.fromISO(iso, { zone: 'utc' });
+    },
+    advance(duration) {
+      clock = clock.plus(duration);
+    },
+    tick: () => service.runScheduledTick(),
+    // rewrites the events file; the app picks it up on reload
+    writeEvents(list) {
+      fs.writeFileSync(path.join(dir, 'events.json'), JSON.stringify(list));
+    },
+
+    // subscribes a fresh fake browser; `meta` goes alongside the subscription (timezone, hour, ...)
+    async subscribe(meta = {}) {
+      const subscription = push.subscribe();
+      const res = await request('POST', '/api/subscribe', { subscription, ...meta });
+      return { subscription, res };
+    },
+
+    // subscribes and answers the confirmation push, like the service worker does
+    async subscribeActive(meta = {}) {
+      const { subscription, res } = await this.subscribe(meta);
+      if (res.status !== 201) throw new Error(`subscribe answered ${res.status}: ${JSON.stringify(res.body)}`);
+      const confirm = push.payloadsFor(subscription.endpoint).find((p) => p.customData && p.customData.confirm);
+      if (confirm) {
+        const confirmed = await request('POST', '/api/subscription/confirm', {
+          endpoint: subscription.endpoint,
+          token: confirm.customData.confirm,
+        });
+        if (confirmed.status !== 200) throw new Error(`confirm answered ${confirmed.status}`);
+      }
+      return subscription;
+    },
+
+    async close() {
+      // stop() ends open event streams, which the server would otherwise wait on; fetch's idle keep-alive
+      // sockets are dropped too, or close() waits for them to time out (Node 18)
+      const closed = new Promise((resolve) => server.close(resolve));
+      await service.stop();
+      server.closeAllConnections();
+      await closed;
+      await store.close();
+      await push.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { ADMIN_TOKEN, createHarness };
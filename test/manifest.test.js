@@ -0,0 +1,52 @@
+// test/manifest.test.js - the web app manifest and the icon files it and the notifications point at
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+const { ICONS } = require('../lib/icons');
+
+const PUBLIC = path.join(__dirname, '..', 'public');
+
+// width and height from a PNG's IHDR chunk
+function pngSize(file) {
+  const buf = fs.readFileSync(path.join(PUBLIC, file));
+  assert.equal(buf.toString('latin1', 1, 4), 'PNG', `${file} is a PNG`);
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+let h;
+before(async () => {
+  h = await createHarness({ env: { APP_NAME: 'Launch Countdown' } });
+});
+after(async () => {
+  await h.close();
+});
+
+test('the manifest is served with its content type and names the app', async () => {
+  const res = await h.request('GET', '/manifest.webmanifest');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/manifest\+json/);
+  assert.deepEqual(
+    { name: res.body.name, short_name: res.body.short_name, display: res.body.display, start_url: res.body.start_url },
+    { name: 'Launch Countdown', short_name: 'Launch Countdown', display: 'standalone', start_url: '/' }
+  );
+});
+
+test('every manifest icon exists at its declared size, including a 512px maskable one', async () => {
+  const { body } = await h.request('GET', '/manifest.webmanifest');
+  assert.ok(body.icons.some((i) => i.purpose === 'maskable' && i.sizes === '512x512'));
+  for (const icon of body.icons) {
+    const { width, height } = pngSize(icon.src.slice(1));
+    assert.equal(`${width}x${height}`, icon.sizes, icon.src);
+  }
+});
+
+test('the icons notifications and the service worker refer to exist', () => {
+  for (const src of ['/countdown-icon.png', '/celebration-icon.png', '/badge-icon.png']) {
+    const icon = ICONS.find((i) => `/${i.file}` === src);
+    assert.ok(icon, `${src} is part of the icon set`);
+    assert.deepEqual(pngSize(icon.file), { width: icon.size, height: icon.size });
+  }
+});
@@ -0,0 +1,150 @@
+// test/scheduler.test.js - cron ticks: delivery hours, timezones, catch-up after downtime, the lease and announcements
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+let h;
+afterEach(async () => {
+  await h.close();
+});
+
+// starts at 08:00 in Nairobi (the startup tick starts the scheduler's clock) with one subscriber due at 09:00
+async function setup(options) {
+  h = await createHarness({ now: '2026-12-01T05:00:00Z', ...options });
+  const subscription = await h.subscribeActive({ timezone: 'Africa/Nairobi', hour: 9 });
+  h.push.reset();
+  return subscription;
+}
+
+test("a tick at the delivery hour sends the day's reminder, once", async () => {
+  const subscription = await setup();
+
+  h.advance({ minutes: 55 });
+  await h.tick();
+  assert.equal(h.push.received.length, 0, 'nothing before 09:00');
+
+  h.advance({ minutes: 5 });
+  await h.tick();
+  const [first] = h.push.payloadsFor(subscription.endpoint);
+  assert.equal(first.customData.daysRemaining, 31);
+
+  h.advance({ minutes: 5 });
+  await h.tick();
+  assert.equal(h.push.received.length, 1, 'later ticks the same day send nothing');
+
+  h.setNow('2026-12-02T06:00:00Z');
+  await h.tick();
+  const payloads = h.push.payloadsFor(subscription.endpoint);
+  assert.equal(payloads.length, 2);
+  assert.equal(payloads[1].customData.daysRemaining, 30);
+
+  const runs = await h.admin('GET', '/api/runs');
+  assert.deepEqual(
+    runs.body.map((r) => r.trigger),
+    ['cron', 'cron']
+  );
+});
+
+test("reminders follow each subscriber's own timezone", async () => {
+  const nairobi = await setup();
+  const newYork = await h.subscribeActive({ timezone: 'America/New_York', hour: 9 });
+  h.push.reset();
+
+  h.setNow('2026-12-01T06:00:00Z');
+  await h.tick();
+  assert.equal(h.push.payloadsFor(nairobi.endpoint).length, 1);
+  assert.equal(h.push.payloadsFor(newYork.endpoint).length, 0);
+
+  // 09:00 in New York (UTC-5 in December)
+  h.setNow('2026-12-01T14:00:00Z');
+  await h.tick();
+  assert.equal(h.push.payloadsFor(newYork.endpoint).length, 1);
+  assert.equal(h.push.payloadsFor(nairobi.endpoint).length, 1);
+});
+
+test('a reminder missed while the server was down goes out on the next tick', async () => {
+  const subscription = await setup();
+
+  // no tick between 08:00 and 10:30
+  h.setNow('2026-12-01T07:30:00Z');
+  await h.tick();
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 1);
+});
+
+test('reminders missed for longer than the catch-up grace are skipped', async () => {
+  const subscription = await setup({ env: { CRON_CATCHUP_GRACE_MINUTES: '60' } });
+
+  // back up after a restart at 10:30; 09:00 was 90 minutes ago
+  h.setNow('2026-12-01T07:30:00Z');
+  await h.service.runScheduledTick(h.now(), { startup: true });
+  h.advance({ minutes: 5 });
+  await h.tick();
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 0);
+});
+
+test('the catch-up grace does not clip the span between regular ticks, however long', async () => {
+  h = await createHarness({ now: '2026-12-01T05:00:00Z', env: { CRON_CATCHUP_GRACE_MINUTES: '60' } });
+  const noon = await h.subscribeActive({ timezone: 'Africa/Nairobi', hour: 12 });
+  const early = await h.subscribeActive({ timezone: 'Africa/Nairobi', hour: 7 });
+  h.push.reset();
+
+  // a daily cron at 09:00 in Nairobi: each tick covers noon yesterday and 07:00 today
+  for (const [date, expected] of [['2026-12-01', 0], ['2026-12-02', 1], ['2026-12-03', 2]]) {
+    h.setNow(`${date}T06:00:00Z`);
+    await h.tick();
+    assert.equal(h.push.payloadsFor(noon.endpoint).length, expected, `12:00 subscriber after the ${date} tick`);
+    assert.equal(h.push.payloadsFor(early.endpoint).length, expected, `07:00 subscriber after the ${date} tick`);
+  }
+});
+
+test('an event whose lease another instance holds is left to that instance', async () => {
+  const subscription = await setup();
+  h.setNow('2026-12-01T06:00:00Z');
+  assert.ok(await h.store.acquireLease('cron:launch', 'other-instance', 60 * 1000, h.now().toMillis()));
+
+  await h.tick();
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 0);
+
+  await h.store.releaseLease('cron:launch', 'other-instance');
+  await h.tick();
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 1);
+});
+
+test('paused subscribers get no reminders until the pause ends', async () => {
+  const subscription = await setup();
+  const paused = await h.request('PATCH', '/api/subscription/preferences', {
+    endpoint: subscription.endpoint,
+    auth: subscription.keys.auth,
+    pausedUntil: '2026-12-02T00:00:00Z',
+  });
+  assert.equal(paused.status, 200);
+
+  h.setNow('2026-12-01T06:00:00Z');
+  await h.tick();
+  assert.equal(h.push.received.length, 0);
+
+  h.setNow('2026-12-02T06:00:00Z');
+  await h.tick();
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 1);
+});
+
+test('a scheduled announcement goes out on the first tick past its time, once', async () => {
+  const subscription = await setup();
+  const created = await h.admin('POST', '/api/admin/announcements', {
+    sendAt: '2026-12-01T05:30:00Z',
+    message: { title: 'Doors open', body: 'Come on in' },
+  });
+  assert.equal(created.status, 201);
+
+  await h.tick();
+  assert.equal(h.push.received.length, 0, 'not yet due');
+
+  h.setNow('2026-12-01T05:35:00Z');
+  await h.tick();
+  await h.tick();
+  const payloads = h.push.payloadsFor(subscription.endpoint);
+  assert.deepEqual(payloads.map((p) => p.title), ['Doors open']);
+  const announcement = await h.admin('GET', `/api/admin/announcements/${created.body.id}`);
+  assert.equal(announcement.body.status, 'sent');
+});
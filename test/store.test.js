@@ -0,0 +1,57 @@
+// test/store.test.js - the JSON store's layout: runs in their own file, leases never written
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helalink-store-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const read = (name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+
+test('runs go to a file of their own and leases leave the store file alone', async () => {
+  const store = createStore({ driver: 'json', file: path.join(dir, 'store.json') });
+  await store.init();
+  await store.saveSubscription({ endpoint: 'https://push.example/1', keys: {} });
+  const before = fs.readFileSync(path.join(dir, 'store.json'), 'utf8');
+
+  assert.ok(await store.acquireLease('cron:launch', 'a', 60000, 1000));
+  assert.equal(await store.acquireLease('cron:launch', 'b', 60000, 2000), false, 'held by a');
+  await store.releaseLease('cron:launch', 'a');
+  assert.ok(await store.acquireLease('cron:launch', 'b', 60000, 3000));
+  await store.saveRun({ id: 'run-1', eventId: 'launch', startedAt: '2026-12-01T06:00:00.000Z', outcomes: [] });
+
+  assert.equal(fs.readFileSync(path.join(dir, 'store.json'), 'utf8'), before);
+  assert.deepEqual(Object.keys(read('store.runs.json').collections.runs), ['run-1']);
+  assert.equal((await store.getRun('run-1')).eventId, 'launch');
+  await store.close();
+});
+
+test('runs and leases kept in an older store file are moved out on init', async () => {
+  fs.writeFileSync(
+    path.join(dir, 'store.json'),
+    JSON.stringify({
+      version: 1,
+      collections: {
+        runs: { old: { id: 'old', eventId: 'launch', startedAt: '2026-11-30T06:00:00.000Z' } },
+        leases: { 'cron:launch': { name: 'cron:launch', owner: 'gone', expiresAt: '2999-01-01T00:00:00.000Z' } },
+      },
+    })
+  );
+  const store = createStore({ driver: 'json', file: path.join(dir, 'store.json') });
+  await store.init();
+
+  assert.deepEqual((await store.listRuns()).map((r) => r.id), ['old']);
+  assert.deepEqual(read('store.json').collections.runs, {});
+  assert.deepEqual(read('store.json').collections.leases, {});
+  assert.ok(await store.acquireLease('cron:launch', 'me', 60000, Date.now()));
+  await store.close();
+});
@@ -0,0 +1,101 @@
+// test/stream.test.js - the live countdown stream and reloading events while pages are open
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const LAUNCH = { id: 'launch', name: 'Launch', date: '2027-01-01', timezone: 'Africa/Nairobi' };
+const PARTY = { id: 'party', name: 'Party', date: '2027-03-01', timezone: 'Africa/Nairobi' };
+
+let h;
+beforeEach(async () => {
+  h = await createHarness({ now: '2026-12-01T05:00:00Z', events: [LAUNCH, PARTY] });
+});
+afterEach(async () => {
+  await h.close();
+});
+
+// reads server-sent events one at a time: next() resolves { event, data } (data parsed as JSON)
+async function openStream(url) {
+  const controller = new AbortController();
+  const res = await fetch(h.baseUrl + url, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffered.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (!fields.data) continue; // the retry: hint
+        return { event: fields.event, data: JSON.parse(fields.data) };
+      }
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffered += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { res, next, close: () => controller.abort() };
+}
+
+test('a stream opens with the countdown and the server time', async () => {
+  const stream = await openStream('/api/countdown/stream?event=launch');
+  try {
+    assert.equal(stream.res.status, 200);
+    assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+    const { event, data } = await stream.next();
+    assert.equal(event, 'countdown');
+    assert.equal(data.serverTime, h.now().toMillis());
+    assert.equal(data.days, 31);
+    assert.ok(data.targetDateISO.startsWith('2027-01-01'));
+  } finally {
+    stream.close();
+  }
+});
+
+test('reloading the events updates open streams and closes the ones for removed events', async () => {
+  const launch = await openStream('/api/countdown/stream?event=launch');
+  const party = await openStream('/api/countdown/stream?event=party');
+  try {
+    await launch.next();
+    await party.next();
+
+    h.writeEvents([{ ...LAUNCH, date: '2027-01-02' }]);
+    const res = await h.admin('POST', '/api/admin/events/reload');
+    assert.deepEqual(res.body, { success: true, events: ['launch'] });
+
+    const updated = await launch.next();
+    assert.ok(updated.data.targetDateISO.startsWith('2027-01-02'));
+    assert.equal(updated.data.days, 32);
+    assert.equal((await h.request('GET', '/api/countdown?event=launch')).body.days, 32);
+
+    assert.equal((await party.next()).event, 'removed');
+    assert.equal(await party.next(), null, 'the stream ends');
+  } finally {
+    launch.close();
+    party.close();
+  }
+});
+
+test('an events file that does not load leaves the current events in place', async () => {
+  h.writeEvents([{ ...LAUNCH, date: '02-30' }]);
+  const broken = await h.admin('POST', '/api/admin/events/reload');
+  assert.equal(broken.status, 400);
+  assert.match(broken.body.error, /no such day/);
+
+  h.writeEvents([PARTY]);
+  const withoutDefault = await h.admin('POST', '/api/admin/events/reload');
+  assert.equal(withoutDefault.status, 400);
+
+  assert.equal((await h.request('GET', '/api/countdown?event=launch')).body.days, 31);
+  assert.equal((await h.request('POST', '/api/admin/events/reload')).status, 401);
+});
+
+test('unknown events and timezones are rejected before a stream opens', async () => {
+  assert.equal((await h.request('GET', '/api/countdown/stream?event=nope')).status, 404);
+  assert.equal((await h.request('GET', '/api/countdown/stream?tz=Mars/Olympus')).status, 400);
+});
@@ -0,0 +1,167 @@
+// test/subscribe.test.js - subscribe, double opt-in, status checks and unsubscribe over HTTP
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createHarness } = require('./harness');
+
+let h;
+beforeEach(async () => {
+  h = await createHarness();
+});
+afterEach(async () => {
+  await h.close();
+});
+
+test('subscribing sends an encrypted confirmation push and the token activates the subscription', async () => {
+  const { subscription, res } = await h.subscribe({ timezone: 'Africa/Nairobi', hour: 8, locale: 'sw' });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'pending');
+
+  const [confirm] = h.push.payloadsFor(subscription.endpoint);
+  assert.ok(confirm, 'the fake push service decrypted a confirmation push');
+  assert.equal(confirm.tag, 'subscription-confirm');
+  assert.equal(typeof confirm.customData.confirm, 'string');
+
+  const wrong = await h.request('POST', '/api/subscription/confirm', { endpoint: subscription.endpoint, token: 'nope' });
+  assert.equal(wrong.status, 400);
+  assert.equal((await h.store.getSubscription(subscription.endpoint)).status, 'pending');
+
+  const ok = await h.request('POST', '/api/subscription/confirm', {
+    endpoint: subscription.endpoint,
+    token: confirm.customData.confirm,
+  });
+  assert.equal(ok.status, 200);
+
+  const prefs = await h.request('GET', `/api/subscription/preferences?endpoint=${encodeURIComponent(subscription.endpoint)}`, undefined, {
+    'x-subscription-auth': subscription.keys.auth,
+  });
+  assert.equal(prefs.status, 200);
+  assert.deepEqual(
+    { status: prefs.body.preferences.status, hour: prefs.body.preferences.hour, locale: prefs.body.preferences.locale },
+    { status: 'active', hour: 8, locale: 'sw' }
+  );
+});
+
+test('stored keys are sealed when a master key is configured', async () => {
+  await h.close();
+  h = await createHarness({ env: { SUBSCRIPTION_MASTER_KEY: Buffer.alloc(32, 7).toString('base64') } });
+  const subscription = await h.subscribeActive();
+  const stored = await h.store.getSubscription(subscription.endpoint);
+  assert.ok(stored.keys.sealed);
+  assert.equal(stored.keys.auth, undefined);
+  // ...and still opened for sending
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 1);
+});
+
+test('an imported subscriptions.json is emptied once its keys are sealed in the store', async () => {
+  const legacySubscriptions = [{ endpoint: 'https://fcm.googleapis.com/fcm/send/legacy', keys: { p256dh: 'BPk', auth: 'secret' } }];
+  const readLegacy = () => JSON.parse(fs.readFileSync(h.legacyFile, 'utf8'));
+
+  await h.close();
+  h = await createHarness({ legacySubscriptions });
+  assert.deepEqual(readLegacy(), legacySubscriptions, 'kept while the store holds plaintext keys too');
+
+  await h.close();
+  h = await createHarness({ legacySubscriptions, env: { SUBSCRIPTION_MASTER_KEY: Buffer.alloc(32, 7).toString('base64') } });
+  assert.deepEqual(readLegacy(), []);
+  const stored = await h.store.getSubscription(legacySubscriptions[0].endpoint);
+  assert.ok(stored.keys.sealed);
+});
+
+test('a confirmation push answered with 410 leaves nothing stored', async () => {
+  const subscription = h.push.subscribe();
+  h.push.respond(subscription.endpoint, 410);
+  const res = await h.request('POST', '/api/subscribe', { subscription });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'subscription-gone');
+  assert.equal(await h.store.getSubscription(subscription.endpoint), null);
+});
+
+test('endpoints outside the allowed push services and malformed keys are rejected', async () => {
+  const subscription = h.push.subscribe();
+  const foreign = await h.request('POST', '/api/subscribe', {
+    subscription: { ...subscription, endpoint: 'https://push.example.com/abc' },
+  });
+  assert.equal(foreign.status, 400);
+  const badKey = await h.request('POST', '/api/subscribe', {
+    subscription: { ...subscription, keys: { ...subscription.keys, p256dh: 'AAAA' } },
+  });
+  assert.equal(badKey.status, 400);
+  assert.equal(await h.store.countSubscriptions(), 0);
+});
+
+test('unsubscribing removes the subscription and it gets no more pushes', async () => {
+  const subscription = await h.subscribeActive();
+  const bare = await h.request('POST', '/api/unsubscribe', { endpoint: subscription.endpoint });
+  assert.equal(bare.status, 400, 'the endpoint alone is not enough');
+  const wrong = await h.request('POST', '/api/unsubscribe', { endpoint: subscription.endpoint, auth: 'not-the-secret' });
+  assert.equal(wrong.status, 404);
+  assert.ok(await h.store.getSubscription(subscription.endpoint));
+
+  const res = await h.request('POST', '/api/unsubscribe', { endpoint: subscription.endpoint, auth: subscription.keys.auth });
+  assert.equal(res.status, 200);
+  assert.equal(await h.store.getSubscription(subscription.endpoint), null);
+
+  h.push.reset();
+  const sent = await h.admin('POST', '/api/test-notification', {});
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.summary.launch, null);
+  assert.equal(h.push.received.length, 0);
+});
+
+test('the status check reports pending, active and unknown subscriptions', async () => {
+  const status = (subscription, auth = subscription.keys.auth) =>
+    h.request('GET', `/api/subscription/status?endpoint=${encodeURIComponent(subscription.endpoint)}`, undefined, {
+      'x-subscription-auth': auth,
+    });
+
+  const { subscription } = await h.subscribe();
+  assert.equal((await status(subscription)).body.status, 'pending');
+  assert.equal((await status(subscription, 'not-the-secret')).body.status, 'unknown');
+  assert.equal((await h.request('GET', `/api/subscription/status?endpoint=${encodeURIComponent(subscription.endpoint)}`)).status, 400);
+
+  // a confirmation that ran out counts as gone even before the next tick removes it
+  h.advance({ hours: 25 });
+  assert.equal((await status(subscription)).body.status, 'unknown');
+
+  const active = await h.subscribeActive();
+  assert.equal((await status(active)).body.status, 'active');
+
+  // pruned after the push service reported it gone
+  h.push.respond(active.endpoint, 410);
+  await h.admin('POST', '/api/test-notification', {});
+  assert.equal((await status(active)).body.status, 'unknown');
+  assert.equal((await status(h.push.subscribe())).body.status, 'unknown');
+});
+
+test('re-posting a stored endpoint with other keys changes nothing until the browser confirms', async () => {
+  const status = (endpoint, auth) =>
+    h.request('GET', `/api/subscription/status?endpoint=${encodeURIComponent(endpoint)}`, undefined, { 'x-subscription-auth': auth });
+  const subscription = await h.subscribeActive({ hour: 8 });
+  h.push.reset();
+
+  // someone who only knows the endpoint
+  const { keys: foreignKeys } = h.push.subscribe();
+  const takeover = await h.request('POST', '/api/subscribe', { subscription: { ...subscription, keys: foreignKeys }, hour: 3 });
+  assert.equal(takeover.body.status, 'pending');
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 0, "the real browser can't read a push for keys it doesn't hold");
+  assert.equal((await status(subscription.endpoint, subscription.keys.auth)).body.status, 'active');
+  assert.equal((await status(subscription.endpoint, foreignKeys.auth)).body.status, 'unknown');
+  assert.equal((await h.store.getSubscription(subscription.endpoint)).deliveryHour, 8);
+
+  await h.admin('POST', '/api/test-notification', {});
+  assert.equal(h.push.payloadsFor(subscription.endpoint).length, 1, 'reminders still go to the real keys');
+
+  // the browser itself moving to new keys confirms them like a new subscription
+  const rekeyed = h.push.rekey(subscription.endpoint);
+  h.push.reset();
+  const res = await h.request('POST', '/api/subscribe', { subscription: rekeyed });
+  assert.equal(res.body.status, 'pending');
+  const [confirm] = h.push.payloadsFor(rekeyed.endpoint);
+  const ok = await h.request('POST', '/api/subscription/confirm', { endpoint: rekeyed.endpoint, token: confirm.customData.confirm });
+  assert.equal(ok.status, 200);
+  assert.equal((await status(rekeyed.endpoint, rekeyed.keys.auth)).body.status, 'active');
+  assert.equal((await status(rekeyed.endpoint, subscription.keys.auth)).body.status, 'unknown');
+  assert.equal((await h.store.getSubscription(rekeyed.endpoint)).deliveryHour, 8, 'settings stay with the endpoint');
+});